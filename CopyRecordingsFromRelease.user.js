@@ -1,8 +1,8 @@
 // ==UserScript==
 // @name         MB: Copy Recordings From Release
 // @namespace    https://github.com/YoGo9
-// @version      7/15/2026
-// @description  On the Recordings tab of the release editor, paste a release/medium MBID or URL to auto-assign recordings by track position. Supports copying a single medium (e.g. one disc of a box set). Also suggests existing releases from the same release group.
+// @version      10/19/2026
+// @description  On the Recordings tab of the release editor, paste a release/medium MBID or URL to auto-assign recordings by track position, title & length or ISRC, with a preview before applying. Also suggests matching releases from the same release group and by the same artist.
 // @author       YoGo9
 // @homepage     https://github.com/YoGo9/Scripts
 // @updateURL    https://raw.githubusercontent.com/YoGo9/Scripts/main/CopyRecordingsFromRelease.user.js
@@ -34,24 +34,72 @@
             '<strong style="display:block;margin-bottom:6px;">&#x1F4CB; Copy recordings from another release or medium</strong>' +
             // Suggestions section (hidden until populated)
             '<div id="cfr-suggestions" style="display:none;margin-bottom:8px;">' +
-                '<div style="margin-bottom:4px;font-weight:bold;font-size:12px;color:#444;">Releases in this release group:</div>' +
+                '<div style="margin-bottom:4px;font-weight:bold;font-size:12px;color:#444;">Releases in this release group (most similar first):</div>' +
                 '<div id="cfr-suggestion-list"></div>' +
             '</div>' +
+            // Artist-wide suggestions (fetched on demand)
+            '<div id="cfr-artist-suggestions" style="margin-bottom:8px;">' +
+                '<button id="cfr-artist-search" type="button" style="padding:3px 9px;font-size:12px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#fff;">' +
+                'Find sources among this artist\'s other releases</button>' +
+                '<div id="cfr-artist-list" style="margin-top:4px;"></div>' +
+            '</div>' +
             // Manual paste section
             '<div style="display:flex;gap:6px;align-items:center;flex-wrap:wrap;">' +
+                '<select id="cfr-mode" title="How source tracks are paired with tracks in this release"' +
+                ' style="padding:3px 4px;font-size:13px;border:1px solid #aaa;border-radius:3px;">' +
+                    '<option value="position">Match by position</option>' +
+                    '<option value="align">Match by title &amp; length</option>' +
+                    '<option value="isrc">Match by ISRC</option>' +
+                '</select>' +
                 '<input id="cfr-input" type="text" placeholder="Or paste a release/medium MBID or URL\u2026"' +
                 ' style="flex:1;min-width:220px;padding:4px 6px;font-size:13px;border:1px solid #aaa;border-radius:3px;" />' +
                 '<button id="cfr-btn" type="button"' +
                 ' style="padding:4px 10px;font-size:13px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#e8eaf0;">' +
                 'Apply</button>' +
+                '<button id="cfr-undo" type="button" style="display:none;padding:4px 10px;font-size:13px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#fff;">' +
+                'Undo last copy</button>' +
+            '</div>' +
+            // What to copy onto each target track
+            '<div id="cfr-copy-options" style="margin-top:6px;font-size:12px;color:#444;">Copy: ' +
+                '<label style="margin-right:8px;"><input type="checkbox" value="recordings" checked /> recordings</label>' +
+                '<label style="margin-right:8px;"><input type="checkbox" value="titles" /> track titles</label>' +
+                '<label style="margin-right:8px;"><input type="checkbox" value="artistCredits" /> artist credits</label>' +
+                '<label><input type="checkbox" value="lengths" /> lengths</label>' +
             '</div>' +
+            // Length check between target track and source recording
+            '<div id="cfr-tolerance" style="margin-top:4px;font-size:12px;color:#444;">Length tolerance: \u00B1' +
+                '<input id="cfr-tol-secs" type="number" min="0" step="1" style="width:44px;padding:1px 3px;font-size:12px;border:1px solid #aaa;border-radius:3px;" /> s or \u00B1' +
+                '<input id="cfr-tol-pct" type="number" min="0" step="1" style="width:44px;padding:1px 3px;font-size:12px;border:1px solid #aaa;border-radius:3px;" /> % ' +
+                '<label style="margin-left:8px;"><input id="cfr-tol-skip" type="checkbox" /> skip tracks outside the tolerance</label>' +
+            '</div>' +
+            // Multi-source plan builder
+            '<details id="cfr-plan" style="margin-top:8px;">' +
+                '<summary style="cursor:pointer;font-weight:bold;font-size:12px;color:#444;">Compose from several sources</summary>' +
+                '<div id="cfr-plan-rows" style="margin-top:6px;"></div>' +
+                '<div style="display:flex;gap:6px;">' +
+                    '<button id="cfr-plan-add" type="button" style="padding:3px 9px;font-size:12px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#fff;">+ Add source</button>' +
+                    '<button id="cfr-plan-apply" type="button" style="padding:3px 9px;font-size:12px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#e8eaf0;">Apply plan</button>' +
+                '</div>' +
+            '</details>' +
             // Target-medium chooser (hidden until needed)
             '<div id="cfr-target-chooser" style="display:none;margin-top:8px;"></div>' +
-            '<div id="cfr-status" style="margin-top:5px;min-height:16px;font-style:italic;color:#555;"></div>';
+            '<div id="cfr-status" style="margin-top:5px;min-height:16px;font-style:italic;color:#555;"></div>' +
+            // Per-track preview, confirmed before anything is written
+            '<div id="cfr-preview" style="display:none;margin-top:6px;"></div>' +
+            // Per-track recording search for tracks left unmatched
+            '<div id="cfr-unmatched" style="display:none;margin-top:6px;font-size:12px;"></div>';
 
         anchor.appendChild(wrapper);
 
         document.getElementById('cfr-btn').addEventListener('click', onApplyFromInput);
+        document.getElementById('cfr-undo').addEventListener('click', undoLastCopy);
+        document.getElementById('cfr-artist-search').addEventListener('click', findArtistSuggestions);
+        document.getElementById('cfr-plan-add').addEventListener('click', function () { addPlanRow(); });
+        document.getElementById('cfr-mode').addEventListener('change', refreshPlanPreviews);
+        bindToleranceInputs();
+        document.getElementById('cfr-plan-apply').addEventListener('click', applyPlan);
+        addPlanRow();
+        updateUndoButton();
         document.getElementById('cfr-input').addEventListener('keydown', function (e) {
             if (e.key === 'Enter') onApplyFromInput();
         });
@@ -79,68 +127,325 @@
             return;
         }
 
-        fetchAndRenderSuggestions(rgGid);
+        if (rgReleases && rgReleasesGid === rgGid) renderSuggestions(rgReleases);
+        else fetchAndRenderSuggestions(rgGid);
     }
 
+    var RG_MAX_PAGES = 5;
+    var rgReleases = null;       // last fetched releases of the release group
+    var rgReleasesGid = null;    // release group they belong to
+    var rankedTracklist = null;  // tracklistSignature() they were ranked against
+    var RERANK_DELAY = 500;
+    var rerankTimer = null;
+
     function fetchAndRenderSuggestions(rgGid) {
-        var url = '/ws/2/release?release-group=' + rgGid + '&inc=artist-credits+media+labels+release-groups&fmt=json';
-        fetch(url)
-            .then(function (r) { return r.ok ? r.json() : Promise.reject('HTTP ' + r.status); })
-            .then(function (data) {
-                var releases = (data.releases || []);
+        browseReleases('release-group=' + rgGid + '&inc=artist-credits+media+labels+release-groups+recordings',
+                       BROWSE_PAGE_SIZE * RG_MAX_PAGES, 0, [])
+            .then(function (releases) {
                 if (!releases.length) return;
+                rgReleases = releases;
+                rgReleasesGid = rgGid;
                 renderSuggestions(releases);
             })
             .catch(function (e) { console.warn('[CFR] RG fetch failed:', e); });
     }
 
+    // The tracklist is usually still empty when the suggestions are first
+    // rendered on /release/add, so they are ranked again once it has changed.
+    // Ranking aligns the tracklist against every release of the group, so it
+    // waits until the editor has been quiet for RERANK_DELAY ms.
+    function scheduleRerank() {
+        if (!rgReleases) return;
+        clearTimeout(rerankTimer);
+        rerankTimer = setTimeout(function () {
+            if (tracklistSignature() !== rankedTracklist) renderSuggestions(rgReleases);
+        }, RERANK_DELAY);
+    }
+
+    function tracklistSignature() {
+        return getTargetMediums().map(function (m) {
+            return m.tracks().map(function (t) { return t.name() + '/' + t.length(); }).join('|');
+        }).join('||');
+    }
+
     function renderSuggestions(releases) {
+        if (!document.getElementById('cfr-suggestion-list')) return;
+        rankedTracklist = tracklistSignature();
+
+        var targetMediums = getTargetMediums();
+        var hasTracklist = targetMediums.some(function (m) { return m.tracks().length; });
+        if (!hasTracklist) {
+            rankToken++;
+            drawSuggestions(releases.map(function (rel) { return { release: rel, score: null }; }));
+            return;
+        }
+        scoreReleases(releases, targetMediums, function (scores) {
+            var ranked = releases.map(function (rel, idx) { return { release: rel, score: scores[idx] }; });
+            ranked.sort(function (a, b) { return b.score - a.score; });
+            drawSuggestions(ranked);
+        });
+    }
+
+    // Scores the releases a slice at a time so that ranking a large release
+    // group against a long tracklist never blocks the editor for long. A newer
+    // ranking supersedes one still in progress.
+    var RANK_SLICE_MS = 30;
+    var rankToken = 0;
+
+    function scoreReleases(releases, targetMediums, done) {
+        var token = ++rankToken;
+        var scores = [];
+        (function step() {
+            if (token !== rankToken) return;
+            var until = Date.now() + RANK_SLICE_MS;
+            while (scores.length < releases.length && Date.now() < until) {
+                scores.push(scoreReleaseSimilarity(releases[scores.length], targetMediums));
+            }
+            if (scores.length < releases.length) setTimeout(step, 0);
+            else done(scores);
+        })();
+    }
+
+    function drawSuggestions(ranked) {
         var list = document.getElementById('cfr-suggestion-list');
         var section = document.getElementById('cfr-suggestions');
         if (!list || !section) return;
 
         list.innerHTML = '';
 
-        releases.forEach(function (rel) {
-            var mbid = rel.id;
-            var title = rel.title || '(untitled)';
-
-            // Build a human-readable descriptor: format · tracks · date · country
-            var media = rel.media || [];
-            var formats = [];
-            var trackCounts = [];
-            media.forEach(function (m) {
-                if (m.format) formats.push(m.format);
-                if (m['track-count']) trackCounts.push(m['track-count']);
+        var compatible = ranked.filter(function (c) { return c.score === null || c.score >= MIN_COMPATIBLE_SCORE; });
+        var incompatible = ranked.filter(function (c) { return c.score !== null && c.score < MIN_COMPATIBLE_SCORE; });
+
+        compatible.forEach(function (c, idx) {
+            var btn = buildSuggestionButton(c.release, similarityBadge(c.score));
+            if (idx === 0 && c.score !== null) {
+                btn.style.borderColor = '#2e8b3a';
+                btn.style.background = '#eaf7ea';
+                btn.title = 'Most similar to the tracklist in the editor';
+            }
+            list.appendChild(btn);
+        });
+
+        if (incompatible.length) {
+            var more = document.createElement('details');
+            more.innerHTML = '<summary style="cursor:pointer;font-size:12px;color:#666;">' + incompatible.length +
+                ' release' + (incompatible.length === 1 ? '' : 's') + ' unlikely to fit this tracklist</summary>';
+            incompatible.forEach(function (c) {
+                more.appendChild(buildSuggestionButton(c.release, similarityBadge(c.score)));
             });
-            var formatStr = formats.length ? formats.join('+') : '';
-            var trackStr = trackCounts.length ? trackCounts.join('+') + ' tracks' : '';
-
-            var events = rel['release-events'] || [];
-            var dates = events.map(function (e) { return e.date; }).filter(Boolean);
-            var countries = [];
-            events.forEach(function (e) {
-                var codes = e.area && e.area['iso-3166-1-codes'];
-                if (codes) codes.forEach(function (c) { countries.push(c); });
+            list.appendChild(more);
+        }
+
+        section.style.display = 'block';
+    }
+
+    // ── Suggestion ranking ────────────────────────────────────────────────────
+    // Similarity of a candidate to the tracklist in the editor, 0..1: medium
+    // count, per-medium track counts, and how well titles and lengths align.
+
+    var MIN_COMPATIBLE_SCORE = 0.4;
+
+    function scoreReleaseSimilarity(rel, targetMediums) {
+        var sourceMedia = rel.media || [];
+        if (!sourceMedia.length) return 0;
+
+        var mediumScore = Math.min(sourceMedia.length, targetMediums.length) /
+                          Math.max(sourceMedia.length, targetMediums.length);
+
+        var sameCounts = targetMediums.filter(function (m) {
+            var src = sourceMedia.find(function (sm) { return sm.position === m.position(); });
+            return src && (src['track-count'] || (src.tracks || []).length) === m.tracks().length;
+        }).length;
+        var countScore = sameCounts / Math.max(sourceMedia.length, targetMediums.length);
+
+        var targetTracks = [];
+        targetMediums.forEach(function (m) { targetTracks = targetTracks.concat(m.tracks()); });
+        var sourceTracks = [];
+        sourceMedia.forEach(function (m) { sourceTracks = sourceTracks.concat(withRecordings(m.tracks)); });
+        var shapeScore = 0.2 * mediumScore + 0.3 * countScore;
+
+        // Alignment is the expensive part: skip it when even a perfect content
+        // score could not lift the candidate to MIN_COMPATIBLE_SCORE.
+        var bestContent = sourceTracks.length && targetTracks.length
+            ? Math.min(targetTracks.length, sourceTracks.length) / Math.max(targetTracks.length, sourceTracks.length)
+            : 0;
+        if (shapeScore + 0.5 * bestContent < MIN_COMPATIBLE_SCORE) return shapeScore;
+
+        var contentScore = 0;
+        if (sourceTracks.length) {
+            alignTracks(targetTracks, sourceTracks).forEach(function (m) {
+                if (m.source) contentScore += m.confidence;
             });
-            var dateStr = dates.length ? dates[0] : '';
-            var countryStr = [...new Set(countries)].join(', ');
+            contentScore /= Math.max(targetTracks.length, sourceTracks.length);
+        }
 
-            var meta = [formatStr, trackStr, dateStr, countryStr].filter(Boolean).join(' · ');
+        return 0.2 * mediumScore + 0.3 * countScore + 0.5 * contentScore;
+    }
 
-            var btn = document.createElement('button');
-            btn.type = 'button';
-            btn.style.cssText = 'display:block;width:100%;text-align:left;margin-bottom:3px;padding:4px 7px;font-size:12px;cursor:pointer;border:1px solid #bbb;border-radius:3px;background:#fff;';
-            btn.innerHTML = '<strong>' + escapeHtml(title) + '</strong>' +
-                (meta ? ' <span style="color:#666;font-weight:normal;">' + escapeHtml(meta) + '</span>' : '');
+    function similarityBadge(score) {
+        if (score === null) return '';
+        return '<span style="display:inline-block;min-width:40px;font-weight:bold;color:' + confidenceColor(score) + ';">' +
+            Math.round(score * 100) + '%</span>';
+    }
 
-            btn.addEventListener('click', function () {
-                applyFromMBID(mbid);
-            });
-            list.appendChild(btn);
+    function getTargetMediums() {
+        var vm = getReleaseEditorVM();
+        var release = vm && vm.rootField.release();
+        return release ? release.mediums() : [];
+    }
+
+    // `mode`, if given, is the matching mode switched to before applying.
+    function buildSuggestionButton(rel, badge, mode) {
+        var mbid = rel.id;
+        var title = rel.title || '(untitled)';
+
+        // Build a human-readable descriptor: format · tracks · date · country
+        var media = rel.media || [];
+        var formats = [];
+        var trackCounts = [];
+        media.forEach(function (m) {
+            if (m.format) formats.push(m.format);
+            if (m['track-count']) trackCounts.push(m['track-count']);
         });
+        var formatStr = formats.length ? formats.join('+') : '';
+        var trackStr = trackCounts.length ? trackCounts.join('+') + ' tracks' : '';
+
+        var events = rel['release-events'] || [];
+        var dates = events.map(function (e) { return e.date; }).filter(Boolean);
+        var countries = [];
+        events.forEach(function (e) {
+            var codes = e.area && e.area['iso-3166-1-codes'];
+            if (codes) codes.forEach(function (c) { countries.push(c); });
+        });
+        var dateStr = dates.length ? dates[0] : (rel.date || '');
+        var countryStr = [...new Set(countries)].join(', ');
 
-        section.style.display = 'block';
+        var meta = [formatStr, trackStr, dateStr, countryStr].filter(Boolean).join(' · ');
+
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.style.cssText = 'display:block;width:100%;text-align:left;margin-bottom:3px;padding:4px 7px;font-size:12px;cursor:pointer;border:1px solid #bbb;border-radius:3px;background:#fff;';
+        btn.innerHTML = (badge ? badge + ' ' : '') + '<strong>' + escapeHtml(title) + '</strong>' +
+            (meta ? ' <span style="color:#666;font-weight:normal;">' + escapeHtml(meta) + '</span>' : '');
+
+        btn.addEventListener('click', function () {
+            if (mode) setMode(mode);
+            applyFromMBID(mbid);
+        });
+        return btn;
+    }
+
+    // ── Artist-wide suggestions ───────────────────────────────────────────────
+    // Compilations, soundtracks and re-releases live in other release groups, so
+    // on request we browse the release artist's releases and rank them by how
+    // many tracks of the tracklist in the editor they could cover. Various
+    // Artists compilations only credit the artist on the tracks, so those are
+    // browsed separately by track artist and merged in.
+
+    var ARTIST_MAX_PAGES = 3;
+    var MAX_ARTIST_SUGGESTIONS = 15;
+    var COVERAGE_MIN_SIMILARITY = 0.85;
+
+    function findArtistSuggestions() {
+        var vm = getReleaseEditorVM();
+        if (!vm) { setStatus('Could not access the release editor view-model.', '#a00'); return; }
+
+        var release = vm.rootField.release();
+        if (!release) { setStatus('No release loaded in editor.', '#a00'); return; }
+
+        var artistGid = getReleaseArtistGid(release);
+        if (!artistGid) { setStatus('Set the release artist first to search their other releases.', '#a00'); return; }
+
+        var targetTracks = getAllTracks(release);
+        if (!targetTracks.length) { setStatus('Enter the tracklist first to rank candidate releases.', '#a00'); return; }
+
+        var rg = release.releaseGroup();
+        var rgGid = rg && rg.gid;
+        var ownGid = typeof release.gid === 'function' ? release.gid() : release.gid;
+
+        setStatus('Searching releases by this artist\u2026');
+        Promise.all([
+            fetchArtistReleases('artist', artistGid),
+            fetchArtistReleases('track_artist', artistGid)
+        ])
+            .then(function (results) {
+                var seen = new Set();
+                var releases = results[0].concat(results[1]).filter(function (rel) {
+                    if (seen.has(rel.id)) return false;
+                    seen.add(rel.id);
+                    return true;
+                });
+                var ranked = releases
+                    .filter(function (rel) {
+                        // Same-RG releases are already listed above.
+                        return rel.id !== ownGid && !(rgGid && rel['release-group'] && rel['release-group'].id === rgGid);
+                    })
+                    .map(function (rel) { return { release: rel, covered: countCoverage(rel, targetTracks) }; })
+                    .filter(function (c) { return c.covered > 0; })
+                    .sort(function (a, b) { return b.covered - a.covered; });
+
+                renderArtistSuggestions(ranked.slice(0, MAX_ARTIST_SUGGESTIONS), targetTracks.length);
+                setStatus(ranked.length
+                    ? 'Found ' + ranked.length + ' other release' + (ranked.length === 1 ? '' : 's') + ' by this artist sharing tracks with this tracklist.'
+                    : 'No other release by this artist shares track titles with this tracklist.');
+            })
+            .catch(function (err) { setStatus('Error searching artist releases: ' + err.message, '#a00'); });
+    }
+
+    // `filter` is the browse parameter: 'artist' for release artist credits,
+    // 'track_artist' for releases where the artist only appears on tracks.
+    function fetchArtistReleases(filter, artistGid) {
+        return browseReleases(filter + '=' + artistGid + '&inc=media+recordings+release-groups',
+                              BROWSE_PAGE_SIZE * ARTIST_MAX_PAGES, 0, []);
+    }
+
+    function renderArtistSuggestions(candidates, targetCount) {
+        var list = document.getElementById('cfr-artist-list');
+        if (!list) return;
+        list.innerHTML = '';
+        candidates.forEach(function (c) {
+            var badge = '<span style="display:inline-block;min-width:92px;font-weight:bold;color:' +
+                confidenceColor(c.covered / targetCount) + ';">covers ' + c.covered + '/' + targetCount + '</span>';
+            // The shared tracks usually sit at other positions on these releases,
+            // so they are paired by title & length rather than by track number.
+            list.appendChild(buildSuggestionButton(c.release, badge, 'align'));
+        });
+    }
+
+    function countCoverage(rel, targetTracks) {
+        var titles = [];
+        (rel.media || []).forEach(function (m) {
+            (m.tracks || []).forEach(function (t) { titles.push(t.title); });
+        });
+        return targetTracks.filter(function (track) {
+            var name = track.name();
+            return titles.some(function (title) { return titleSimilarity(name, title) >= COVERAGE_MIN_SIMILARITY; });
+        }).length;
+    }
+
+    function getReleaseArtistGid(release) {
+        var credited = editorCreditNames(release).find(function (n) { return n && n.artist && n.artist.gid; });
+        return credited ? credited.artist.gid : null;
+    }
+
+    // Artist credit names of a release editor field (release or track).
+    function editorCreditNames(field) {
+        var ac = field.artistCredit && field.artistCredit();
+        var names = ac && ac.names;
+        if (typeof names === 'function') names = names();
+        return names || [];
+    }
+
+    function editorCreditText(field) {
+        return editorCreditNames(field).map(function (n) { return (n.name || '') + (n.joinPhrase || ''); }).join('');
+    }
+
+    function getAllTracks(release) {
+        var tracks = [];
+        release.mediums().forEach(function (medium) {
+            tracks = tracks.concat(medium.tracks());
+        });
+        return tracks;
     }
 
     function escapeHtml(s) {
@@ -153,26 +458,31 @@
         clearTargetChooser();
         var raw = (document.getElementById('cfr-input') || {}).value;
         if (!raw || !raw.trim()) { setStatus('Please paste a release or medium MBID or URL.', '#a00'); return; }
-        raw = raw.trim();
 
-        // 1) Medium permalink: /medium/{mbid}
-        var mediumMatch = raw.match(MEDIUM_URL_RE);
-        if (mediumMatch) {
-            resolveMediumAndApply(mediumMatch[1]);
+        var source = parseSourceInput(raw);
+        if (!source) { setStatus('Could not find a valid MBID in the input.', '#a00'); return; }
+
+        if (source.mediumMbid) {
+            resolveMediumAndApply(source.mediumMbid);
             return;
         }
+        applyFromMBID(source.releaseMbid, source.mediumPos);
+    }
+
+    function parseSourceInput(raw) {
+        raw = String(raw || '').trim();
+
+        // 1) Medium permalink: /medium/{mbid}
+        var mediumMatch = raw.match(MEDIUM_URL_RE);
+        if (mediumMatch) return { mediumMbid: mediumMatch[1] };
 
         // 2) Release disc view: /release/{mbid}/disc/{n}
         var discMatch = raw.match(RELEASE_DISC_RE);
-        if (discMatch) {
-            applyFromMBID(discMatch[1], parseInt(discMatch[2], 10));
-            return;
-        }
+        if (discMatch) return { releaseMbid: discMatch[1], mediumPos: parseInt(discMatch[2], 10) };
 
         // 3) Plain release MBID or release URL
         var match = raw.match(MBID_RE);
-        if (!match) { setStatus('Could not find a valid MBID in the input.', '#a00'); return; }
-        applyFromMBID(match[0]);
+        return match ? { releaseMbid: match[0] } : null;
     }
 
     // ── Medium MBID resolution ────────────────────────────────────────────────
@@ -182,9 +492,16 @@
 
     function resolveMediumAndApply(mediumMbid) {
         setStatus('Resolving medium ' + mediumMbid + '\u2026');
-        fetch('/medium/' + mediumMbid, { redirect: 'follow' })
+        resolveMedium(mediumMbid)
+            .then(function (info) {
+                applyFromMBID(info.releaseMbid, info.mediumPos);
+            })
+            .catch(function (err) { setStatus('Error resolving medium: ' + err.message, '#a00'); });
+    }
+
+    function resolveMedium(mediumMbid) {
+        return wsRequest('/medium/' + mediumMbid, { redirect: 'follow' })
             .then(function (r) {
-                if (!r.ok) throw new Error('HTTP ' + r.status);
                 var finalUrl = r.url || '';
                 var discMatch = finalUrl.match(RELEASE_DISC_RE);
                 if (discMatch) {
@@ -197,20 +514,14 @@
                 if (!relMatch) throw new Error('Could not resolve medium to a release (landed on ' + finalUrl + ')');
                 var fragMatch = finalUrl.match(/#disc(\d+)/i);
                 return { releaseMbid: relMatch[1], mediumPos: fragMatch ? parseInt(fragMatch[1], 10) : 1 };
-            })
-            .then(function (info) {
-                applyFromMBID(info.releaseMbid, info.mediumPos);
-            })
-            .catch(function (err) { setStatus('Error resolving medium: ' + err.message, '#a00'); });
+            });
     }
 
     function applyFromMBID(mbid, sourceMediumPos) {
+        clearPreview();
+        clearUnmatched();
         setStatus('Fetching release ' + mbid + (sourceMediumPos ? ' (medium ' + sourceMediumPos + ')' : '') + '\u2026');
-        fetch('/ws/2/release/' + mbid + '?inc=recordings+artist-credits&fmt=json')
-            .then(function (r) {
-                if (!r.ok) throw new Error('HTTP ' + r.status);
-                return r.json();
-            })
+        fetchRelease(mbid)
             .then(function (data) {
                 if (sourceMediumPos) {
                     applyRecordingsFromMedium(data, sourceMediumPos);
@@ -221,6 +532,322 @@
             .catch(function (err) { setStatus('Error fetching release: ' + err.message, '#a00'); });
     }
 
+    function fetchRelease(mbid) {
+        var inc = 'recordings+artist-credits' + (getMode() === 'isrc' ? '+isrcs' : '');
+        return wsGetJSON('/ws/2/release/' + mbid + '?inc=' + inc + '&fmt=json', true);
+    }
+
+    // ── Web-service client ────────────────────────────────────────────────────
+    // Every request to the MusicBrainz server goes through one queue that keeps
+    // to the documented rate of one request per second, retries 503 responses
+    // (rate limiting) with exponential backoff, and can cache JSON for the rest
+    // of the page session so switching between sources doesn't refetch them.
+
+    var WS_INTERVAL    = 1000;
+    var WS_MAX_RETRIES = 4;
+    var wsQueue    = Promise.resolve();
+    var wsNextSlot = 0;           // earliest time the next request may start
+    var wsCache    = new Map();   // url -> promise of parsed JSON
+
+    function wsRequest(url, init, attempt) {
+        attempt = attempt || 0;
+        var request = wsQueue.then(function () {
+            return delay(wsNextSlot - Date.now());
+        }).then(function () {
+            wsNextSlot = Date.now() + WS_INTERVAL;
+            return fetch(url, init);
+        });
+        wsQueue = request.catch(function () {});
+
+        return request.then(function (r) {
+            if (r.status === 503 && attempt < WS_MAX_RETRIES) {
+                var retryAfter = parseInt(r.headers && r.headers.get('Retry-After'), 10) || 0;
+                var backoff = Math.max(retryAfter * 1000, WS_INTERVAL * Math.pow(2, attempt + 1));
+                // Hold back the whole queue, not just this request.
+                wsNextSlot = Math.max(wsNextSlot, Date.now() + backoff);
+                console.warn('[CFR] 503 from ' + url + ', retrying in ' + backoff + ' ms');
+                return wsRequest(url, init, attempt + 1);
+            }
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            return r;
+        });
+    }
+
+    function wsGetJSON(url, cache) {
+        if (cache && wsCache.has(url)) return wsCache.get(url);
+        var promise = wsRequest(url).then(function (r) { return r.json(); });
+        if (cache) {
+            wsCache.set(url, promise);
+            promise.catch(function () { wsCache.delete(url); });
+        }
+        return promise;
+    }
+
+    // Browses /ws/2/release page by page until the server's release-count or
+    // `maxCount` is reached. Pages with recordings can come back short, so the
+    // offset advances by what we got rather than by the page size.
+    var BROWSE_PAGE_SIZE = 100;
+
+    function browseReleases(query, maxCount, offset, acc) {
+        var url = '/ws/2/release?' + query + '&limit=' + BROWSE_PAGE_SIZE + '&offset=' + offset + '&fmt=json';
+        return wsGetJSON(url, true)
+            .then(function (data) {
+                var page = data.releases || [];
+                acc = acc.concat(page);
+                var next = offset + page.length;
+                if (page.length && next < (data['release-count'] || 0) && next < maxCount) {
+                    return browseReleases(query, maxCount, next, acc);
+                }
+                return acc;
+            });
+    }
+
+    function delay(ms) {
+        return ms > 0 ? new Promise(function (resolve) { setTimeout(resolve, ms); }) : Promise.resolve();
+    }
+
+    // ── Multi-source plan ─────────────────────────────────────────────────────
+    // Each plan row maps a track range of one source medium onto a track range of
+    // a target medium; tracks are paired in order inside the two ranges (or
+    // aligned, in title & length mode). A source offset such as "3-12" against a
+    // target of "5-" shifts the tracks; every row shows the resulting pairs live,
+    // and all rows end up in a single preview.
+
+    var PLAN_INPUT_STYLE = 'padding:3px 5px;font-size:12px;border:1px solid #aaa;border-radius:3px;';
+    var planSources = new WeakMap(); // row element -> { key, promise } of the loaded source
+
+    function addPlanRow(prefill) {
+        var rows = document.getElementById('cfr-plan-rows');
+        if (!rows) return null;
+        var row = document.createElement('div');
+        row.className = 'cfr-plan-row';
+        row.style.cssText = 'margin-bottom:6px;font-size:12px;';
+        row.innerHTML =
+            '<div style="display:flex;gap:4px;align-items:center;flex-wrap:wrap;">' +
+                '<input class="cfr-plan-source" type="text" placeholder="Source release/medium MBID or URL"' +
+                ' style="flex:1;min-width:200px;' + PLAN_INPUT_STYLE + '" />' +
+                'medium <input class="cfr-plan-src-medium" type="number" min="1" placeholder="1" style="width:42px;' + PLAN_INPUT_STYLE + '" />' +
+                'tracks <input class="cfr-plan-src-tracks" type="text" placeholder="all" title="e.g. 3-12, 5- or 7" style="width:56px;' + PLAN_INPUT_STYLE + '" />' +
+                '\u2192 medium <input class="cfr-plan-tgt-medium" type="number" min="1" placeholder="1" style="width:42px;' + PLAN_INPUT_STYLE + '" />' +
+                'tracks <input class="cfr-plan-tgt-tracks" type="text" placeholder="all" title="e.g. 5-14, or 5- to start at track 5" style="width:56px;' + PLAN_INPUT_STYLE + '" />' +
+                '<button type="button" class="cfr-plan-remove" title="Remove this source"' +
+                ' style="padding:2px 7px;font-size:12px;cursor:pointer;border-radius:3px;border:1px solid #bbb;background:#fff;">\u00D7</button>' +
+            '</div>' +
+            '<div class="cfr-plan-pairs" style="display:none;margin:3px 0 0 6px;max-height:140px;overflow:auto;color:#444;"></div>';
+
+        if (prefill) {
+            row.querySelector('.cfr-plan-source').value = prefill.source || '';
+            row.querySelector('.cfr-plan-src-medium').value = prefill.sourceMedium || '';
+        }
+
+        row.querySelector('.cfr-plan-remove').addEventListener('click', function () { row.remove(); });
+        row.querySelector('.cfr-plan-source').addEventListener('change', function () { updatePlanRowPreview(row); });
+        ['.cfr-plan-src-medium', '.cfr-plan-src-tracks', '.cfr-plan-tgt-medium', '.cfr-plan-tgt-tracks'].forEach(function (cls) {
+            row.querySelector(cls).addEventListener('input', function () { updatePlanRowPreview(row); });
+        });
+        rows.appendChild(row);
+        if (prefill) updatePlanRowPreview(row);
+        return row;
+    }
+
+    // Moves a single source into the plan so its ranges and offset can be set by hand.
+    function openCustomMapping(releaseMbid, sourceMediumPos) {
+        var plan = document.getElementById('cfr-plan');
+        if (!plan) return;
+        plan.open = true;
+        var prefill = { source: releaseMbid, sourceMedium: sourceMediumPos };
+        var empty = Array.from(document.querySelectorAll('#cfr-plan-rows .cfr-plan-row')).find(function (row) {
+            return !row.querySelector('.cfr-plan-source').value.trim();
+        });
+        if (empty) {
+            empty.querySelector('.cfr-plan-source').value = prefill.source;
+            empty.querySelector('.cfr-plan-src-medium').value = prefill.sourceMedium || '';
+            updatePlanRowPreview(empty);
+        } else {
+            addPlanRow(prefill);
+        }
+        setStatus('Set the source and target track ranges below, then apply the plan.');
+    }
+
+    // "" → whole medium, "7" → track 7 only, "3-12" → tracks 3 to 12, "5-" → track 5 to the end.
+    function parseTrackRange(text) {
+        var s = String(text || '').trim();
+        if (!s) return { from: 0, to: Infinity };
+        var m = s.match(/^(\d+)\s*(?:([-\u2013])\s*(\d+)?)?$/);
+        if (!m) return null;
+        var from = parseInt(m[1], 10);
+        var to = m[2] ? (m[3] ? parseInt(m[3], 10) : Infinity) : from;
+        return to >= from ? { from: from, to: to } : null;
+    }
+
+    function inRange(pos, range) {
+        return pos >= range.from && pos <= range.to;
+    }
+
+    // Returns null for an empty row, { error } for an invalid one, else the plan entry.
+    function readPlanRow(row, label) {
+        var value = function (cls) { return row.querySelector(cls).value.trim(); };
+        if (!value('.cfr-plan-source')) return null;
+        var source = parseSourceInput(value('.cfr-plan-source'));
+        if (!source) return { error: label + ': could not find a valid MBID.' };
+        var sourceRange = parseTrackRange(value('.cfr-plan-src-tracks'));
+        var targetRange = parseTrackRange(value('.cfr-plan-tgt-tracks'));
+        if (!sourceRange || !targetRange) return { error: label + ': invalid track range (use e.g. 3-12, 5- or 7).' };
+        return {
+            row: row,
+            label: label,
+            source: source,
+            sourceMedium: parseInt(value('.cfr-plan-src-medium'), 10) || null,
+            sourceRange: sourceRange,
+            targetMedium: parseInt(value('.cfr-plan-tgt-medium'), 10) || 1,
+            targetRange: targetRange,
+        };
+    }
+
+    function readPlanRows() {
+        var rows = Array.from(document.querySelectorAll('#cfr-plan-rows .cfr-plan-row'));
+        var plan = [];
+        for (var i = 0; i < rows.length; i++) {
+            var entry = readPlanRow(rows[i], 'Source ' + (i + 1));
+            if (!entry) continue;
+            if (entry.error) return { error: entry.error };
+            plan.push(entry);
+        }
+        if (!plan.length) return { error: 'Add at least one source to the plan.' };
+        return { plan: plan };
+    }
+
+    // Loads (once per row and source) the release behind a plan row.
+    function loadPlanSource(row, source) {
+        var key = JSON.stringify(source) + ':' + getMode();
+        var cached = planSources.get(row);
+        if (cached && cached.key === key) return cached.promise;
+
+        var promise = (source.mediumMbid ? resolveMedium(source.mediumMbid) : Promise.resolve(source))
+            .then(function (info) {
+                return fetchRelease(info.releaseMbid).then(function (data) { return { info: info, data: data }; });
+            });
+        promise.catch(function () { planSources.delete(row); });
+        planSources.set(row, { key: key, promise: promise });
+        return promise;
+    }
+
+    function matchPlanEntry(entry, loaded, release) {
+        var mediumPos = entry.sourceMedium || loaded.info.mediumPos || 1;
+        var sourceMedium = (loaded.data.media || []).find(function (m) { return m.position === mediumPos; });
+        if (!sourceMedium) throw new Error(entry.label + ': medium ' + mediumPos + ' not found on that release');
+
+        var targetMedium = release.mediums().find(function (m) { return m.position() === entry.targetMedium; });
+        if (!targetMedium) throw new Error(entry.label + ': this release has no medium ' + entry.targetMedium);
+
+        var sourceTracks = withRecordings(sourceMedium.tracks).filter(function (t) {
+            return inRange(t.position, entry.sourceRange);
+        });
+        var targetTracks = targetMedium.tracks().filter(function (t) {
+            return inRange(t.position(), entry.targetRange);
+        });
+        return { matches: matchInOrder(targetTracks, sourceTracks), sourceCount: sourceTracks.length };
+    }
+
+    function updatePlanRowPreview(row) {
+        var out = row.querySelector('.cfr-plan-pairs');
+        var entry = readPlanRow(row, 'This source');
+        if (!entry) { out.style.display = 'none'; return; }
+        out.style.display = 'block';
+        out.style.color = '#444';
+        if (entry.error) { out.textContent = entry.error; out.style.color = '#a00'; return; }
+
+        var vm = getReleaseEditorVM();
+        var release = vm && vm.rootField.release();
+        if (!release) { out.textContent = 'No release loaded in editor.'; return; }
+
+        // Ignore answers for inputs that have changed in the meantime.
+        var seq = String(Number(row.getAttribute('data-preview-seq') || 0) + 1);
+        row.setAttribute('data-preview-seq', seq);
+        out.textContent = 'Loading source\u2026';
+
+        loadPlanSource(row, entry.source)
+            .then(function (loaded) {
+                if (row.getAttribute('data-preview-seq') !== seq) return;
+                var result = matchPlanEntry(entry, loaded, release);
+                var paired = result.matches.filter(function (m) { return m.source; });
+                var unused = result.sourceCount - paired.length;
+                out.innerHTML = result.matches.map(function (m) {
+                    var target = trackLabel(m.track) + ' \u201C' + (m.track.name() || '') + '\u201D';
+                    if (!m.source) return '<div style="color:#999;">(no source) \u2192 ' + escapeHtml(target) + '</div>';
+                    return '<div>' + escapeHtml((m.source.number || m.source.position) + ' \u201C' + sourceTitle(m.source) + '\u201D \u2192 ' + target) + '</div>';
+                }).join('') +
+                    (unused > 0 ? '<div style="color:#b36b00;">' + unused + ' source track' + (unused === 1 ? '' : 's') + ' left over</div>' : '');
+                if (!result.matches.length) out.textContent = 'No target tracks in that range.';
+            })
+            .catch(function (err) {
+                if (row.getAttribute('data-preview-seq') !== seq) return;
+                out.textContent = err.message;
+                out.style.color = '#a00';
+            });
+    }
+
+    function applyPlan() {
+        clearTargetChooser();
+        clearPreview();
+        clearUnmatched();
+        var parsed = readPlanRows();
+        if (parsed.error) { setStatus(parsed.error, '#a00'); return; }
+
+        var vm = getReleaseEditorVM();
+        if (!vm) { setStatus('Could not access the release editor view-model.', '#a00'); return; }
+
+        var release = vm.rootField.release();
+        if (!release) { setStatus('No release loaded in editor.', '#a00'); return; }
+
+        var plan = parsed.plan;
+        var matches = [];
+        var chain = Promise.resolve();
+
+        // Sources are fetched one after another to stay gentle on the web service.
+        plan.forEach(function (entry) {
+            chain = chain
+                .then(function () {
+                    setStatus('Fetching ' + entry.label.toLowerCase() + ' of ' + plan.length + '\u2026');
+                    return loadPlanSource(entry.row, entry.source);
+                })
+                .then(function (loaded) {
+                    matches = matches.concat(matchPlanEntry(entry, loaded, release).matches);
+                });
+        });
+
+        chain
+            .then(function () {
+                var merged = mergeMatches(matches);
+                previewMatches(merged.matches, 'from ' + plan.length + ' source' + (plan.length === 1 ? '' : 's') +
+                               (merged.overlaps ? ', ' + merged.overlaps + ' overlapping pairs ignored' : ''));
+            })
+            .catch(function (err) { setStatus('Error applying plan: ' + err.message, '#a00'); });
+    }
+
+    function refreshPlanPreviews() {
+        document.querySelectorAll('#cfr-plan-rows .cfr-plan-row').forEach(updatePlanRowPreview);
+    }
+
+    // When several plan rows cover the same target track the first actual pairing wins.
+    function mergeMatches(matches) {
+        var byTrack = new Map(), overlaps = 0;
+        matches.forEach(function (m) {
+            var prev = byTrack.get(m.track);
+            if (!prev || !prev.source) { byTrack.set(m.track, m); return; }
+            if (m.source) overlaps++;
+        });
+        var merged = Array.from(byTrack.values()).sort(function (a, b) {
+            return trackSortKey(a.track) - trackSortKey(b.track);
+        });
+        return { matches: merged, overlaps: overlaps };
+    }
+
+    function trackSortKey(track) {
+        var medium = track.medium && typeof track.medium.position === 'function' ? track.medium.position() : 0;
+        return medium * 10000 + track.position();
+    }
+
     // ── Helpers ───────────────────────────────────────────────────────────────
 
     function setStatus(msg, color) {
@@ -233,8 +860,8 @@
         if (el) { el.style.display = 'none'; el.innerHTML = ''; }
     }
 
-    function buildRecordingEntity(recData) {
-        var names = (recData['artist-credit'] || [])
+    function buildArtistCredit(credits) {
+        var names = (credits || [])
             .filter(function (ac) { return ac && typeof ac === 'object' && ac.artist; })
             .map(function (ac) {
                 return {
@@ -248,53 +875,787 @@
                     },
                 };
             });
+        return { names: names };
+    }
+
+    function buildRecordingEntity(recData) {
         return MB.entity({
             gid: recData.id,
             name: recData.title,
             length: recData.length || null,
-            artistCredit: { names: names },
+            artistCredit: buildArtistCredit(recData['artist-credit']),
         }, 'recording');
     }
 
-    function assignToTracks(tracks, trackMapByPos) {
-        var applied = 0, skipped = 0, notFound = 0;
-        tracks.forEach(function (track) {
-            var recData = trackMapByPos.get(track.position());
-            if (!recData) { notFound++; return; }
-            if (track.hasExistingRecording() && track.recording() && track.recording().gid === recData.id) {
-                skipped++; return;
-            }
+    // ── Copy options ──────────────────────────────────────────────────────────
+    // Besides the recording, the source track's title, artist credit and length
+    // can be written onto the target track, which re-creates a tracklist from an
+    // existing release.
+
+    var COPY_FIELDS = ['recordings', 'titles', 'artistCredits', 'lengths'];
+
+    function getCopyOptions() {
+        var opts = {};
+        COPY_FIELDS.forEach(function (field) {
+            var cb = document.querySelector('#cfr-copy-options input[value="' + field + '"]');
+            opts[field] = cb ? cb.checked : field === 'recordings';
+        });
+        return opts;
+    }
+
+    function hasCopyOption(opts) {
+        return COPY_FIELDS.some(function (field) { return opts[field]; });
+    }
+
+    function sourceTitle(src) {
+        return src.title || src.recording.title;
+    }
+
+    function sourceArtistCredit(src) {
+        return src['artist-credit'] || src.recording['artist-credit'] || [];
+    }
+
+    function sourceLength(src) {
+        return src.length || src.recording.length || null;
+    }
+
+    function hasSameRecording(m) {
+        var track = m.track;
+        return !!(track.hasExistingRecording() && track.recording() && track.recording().gid === m.source.recording.id);
+    }
+
+    // True when every field selected for copying already holds the source value.
+    function isAlreadySet(m, opts) {
+        if (!m.source) return false;
+        var track = m.track;
+        return (!opts.recordings || hasSameRecording(m)) &&
+               (!opts.titles || track.name() === sourceTitle(m.source)) &&
+               (!opts.artistCredits || editorCreditText(track) === artistCreditText(sourceArtistCredit(m.source))) &&
+               (!opts.lengths || !sourceLength(m.source) || track.length() === sourceLength(m.source));
+    }
+
+    function replacesExisting(m, opts) {
+        return !!(opts.recordings && m.source && m.track.hasExistingRecording() && !hasSameRecording(m));
+    }
+
+    function writeTrack(track, src, opts) {
+        if (opts.recordings) track.recording(buildRecordingEntity(src.recording));
+        if (opts.titles) track.name(sourceTitle(src));
+        if (opts.artistCredits && track.artistCredit) track.artistCredit(buildArtistCredit(sourceArtistCredit(src)));
+        if (opts.lengths && sourceLength(src)) {
+            // The length input is bound to formattedLength, which keeps length in sync.
+            if (track.formattedLength) track.formattedLength(formatLength(sourceLength(src)));
+            else track.length(sourceLength(src));
+        }
+    }
+
+    function assignMatches(matches, opts) {
+        var applied = 0, skipped = 0, notFound = 0, rejected = 0, changes = [], lengthWarnings = [];
+        matches.forEach(function (m) {
+            var track = m.track;
+            if (!m.source || !m.source.recording) { notFound++; return; }
+            if (isAlreadySet(m, opts)) { skipped++; return; }
+            if (m.selected === false) { rejected++; return; }
             try {
-                track.recording(buildRecordingEntity(recData));
+                var snapshot = snapshotTrack(track);
+                var lengthOff = lengthMismatch(track, m.source);
+                writeTrack(track, m.source, opts);
+                changes.push(snapshot);
+                if (lengthOff !== null) lengthWarnings.push({ track: track, diff: lengthOff });
                 applied++;
             } catch (e) {
                 console.error('[CFR] Error on track', track.position(), e);
                 notFound++;
             }
         });
-        return { applied: applied, skipped: skipped, notFound: notFound };
+        return { applied: applied, skipped: skipped, notFound: notFound, rejected: rejected, changes: changes,
+                 lengthWarnings: lengthWarnings };
     }
 
-    function reportResult(res, suffix) {
+    function reportResult(res, suffix, note) {
         var color = res.applied > 0 ? '#007700' : '#a00';
+        var warnings = res.lengthWarnings || [];
         setStatus('Done: ' + res.applied + ' applied, ' + res.skipped + ' already set, ' +
-                  res.notFound + ' not matched' + (suffix ? ' ' + suffix : '') + '.', color);
+                  res.notFound + ' not matched' + (res.rejected ? ', ' + res.rejected + ' rejected' : '') +
+                  (suffix ? ' ' + suffix : '') + '.' +
+                  (warnings.length ? ' Length outside tolerance: ' + describeLengthWarnings(warnings) + '.' : '') +
+                  (note ? ' ' + note : ''),
+                  warnings.length && res.applied ? '#b36b00' : color);
     }
 
-    // ── Apply recordings (whole release, medium:track position match) ────────
+    // ── Preview table ─────────────────────────────────────────────────────────
+    // Nothing is written to the release editor until the user confirms the rows.
+    // Tracks that already have a different recording start unchecked.
 
-    function applyRecordings(releaseData) {
-        var trackMap = new Map();
-        (releaseData.media || []).forEach(function (medium) {
-            var medPos = medium.position;
-            (medium.tracks || []).forEach(function (track) {
-                if (track.recording) {
-                    trackMap.set(medPos + ':' + track.position, track.recording);
-                }
+    function previewMatches(matches, suffix) {
+        var el = document.getElementById('cfr-preview');
+        if (!el) return;
+
+        var opts = getCopyOptions();
+        if (!hasCopyOption(opts)) { setStatus('Choose at least one thing to copy.', '#a00'); return; }
+
+        matches.forEach(function (m) {
+            m.lengthOff = m.source ? lengthMismatch(m.track, m.source) : null;
+            m.selected = !!m.source && !isAlreadySet(m, opts) && !replacesExisting(m, opts) && !m.flag &&
+                         !(settings.skipOutOfTolerance && m.lengthOff !== null);
+        });
+
+        var note = getMode() === 'isrc' && !hasTargetIsrcs(matches) ? NO_TARGET_ISRCS : '';
+
+        if (autoApply) {
+            // URL-driven runs skip the table and commit what it would have pre-checked.
+            commitMatches(matches, opts, suffix ? suffix + ' (automatic)' : '(automatic)', note);
+            return;
+        }
+
+        var showConfidence = matches.some(function (m) { return m.confidence !== null; });
+
+        var cell = 'padding:2px 5px;border-bottom:1px solid #e3e6ee;vertical-align:top;';
+        var html =
+            '<div style="max-height:400px;overflow:auto;border:1px solid #bbb;border-radius:3px;background:#fff;">' +
+            '<table style="width:100%;border-collapse:collapse;font-size:12px;">' +
+            '<thead><tr style="background:#e8eaf0;text-align:left;">' +
+                '<th style="' + cell + '"><input type="checkbox" class="cfr-preview-all" title="Select all" /></th>' +
+                '<th style="' + cell + '">Track</th>' +
+                '<th style="' + cell + '">Proposed recording</th>' +
+                '<th style="' + cell + '">Artist</th>' +
+                '<th style="' + cell + '">Length</th>' +
+                '<th style="' + cell + '">\u0394</th>' +
+                (showConfidence ? '<th style="' + cell + '">Match</th>' : '') +
+                '<th style="' + cell + '"></th>' +
+            '</tr></thead><tbody>';
+
+        matches.forEach(function (m, idx) {
+            var track = m.track;
+            var src = m.source;
+            var rec = src && src.recording;
+            var targetCell = escapeHtml(trackLabel(track) + ' ' + (track.name() || '')) +
+                ' <span style="color:#888;">(' + formatLength(track.length()) + ')</span>';
+            var note = '';
+            if (!rec) note = '<span style="color:#a00;">' + escapeHtml(m.flag || 'no match') + '</span>';
+            else if (isAlreadySet(m, opts)) note = '<span style="color:#888;">already set</span>';
+            else if (replacesExisting(m, opts)) note = '<span style="color:#b36b00;">replaces \u201C' + escapeHtml(track.recording().name || '') + '\u201D</span>';
+            if (rec && m.flag) note += (note ? '<br>' : '') + '<span style="color:#b36b00;">' + escapeHtml(m.flag) + '</span>';
+            if (rec && m.lengthOff !== null) note += (note ? '<br>' : '') + '<span style="color:#a00;">length outside tolerance</span>';
+
+            html += '<tr' + (rec ? '' : ' style="color:#999;"') + '>' +
+                '<td style="' + cell + '"><input type="checkbox" class="cfr-preview-row" data-idx="' + idx + '"' +
+                    (m.selected ? ' checked' : '') + (rec && !isAlreadySet(m, opts) ? '' : ' disabled') + ' /></td>' +
+                '<td style="' + cell + '">' + targetCell + '</td>' +
+                '<td style="' + cell + '">' + (rec ? escapeHtml(rec.title) +
+                    (opts.titles && sourceTitle(src) !== rec.title ? '<br><span style="color:#666;">title: ' + escapeHtml(sourceTitle(src)) + '</span>' : '') : '') + '</td>' +
+                '<td style="' + cell + '">' + (rec ? escapeHtml(artistCreditText(opts.artistCredits ? sourceArtistCredit(src) : rec['artist-credit'])) : '') + '</td>' +
+                '<td style="' + cell + '">' + (rec ? formatLength(sourceLength(src)) : '') + '</td>' +
+                '<td style="' + cell + (m.lengthOff !== null ? 'color:#a00;font-weight:bold;' : '') + '">' +
+                    (rec ? formatDelta(track.length(), sourceLength(src)) : '') + '</td>' +
+                (showConfidence ? '<td style="' + cell + 'font-weight:bold;color:' + confidenceColor(m.confidence) + ';">' +
+                    (m.confidence !== null ? Math.round(m.confidence * 100) + '%' : '') + '</td>' : '') +
+                '<td style="' + cell + '">' + note + '</td>' +
+            '</tr>';
+        });
+        html += '</tbody></table></div>' +
+            '<div style="margin-top:6px;display:flex;gap:6px;">' +
+                '<button type="button" class="cfr-preview-apply" style="padding:4px 10px;font-size:13px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#e8eaf0;"></button>' +
+                '<button type="button" class="cfr-preview-cancel" style="padding:4px 10px;font-size:13px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#fff;">Cancel</button>' +
+            '</div>';
+        el.innerHTML = html;
+
+        var rowBoxes = Array.from(el.querySelectorAll('.cfr-preview-row'));
+        var allBox = el.querySelector('.cfr-preview-all');
+        var applyBtn = el.querySelector('.cfr-preview-apply');
+
+        function refresh() {
+            var enabled = rowBoxes.filter(function (cb) { return !cb.disabled; });
+            var checked = enabled.filter(function (cb) { return cb.checked; });
+            allBox.checked = enabled.length > 0 && checked.length === enabled.length;
+            allBox.indeterminate = checked.length > 0 && checked.length < enabled.length;
+            applyBtn.textContent = 'Apply ' + checked.length + ' selected';
+            applyBtn.disabled = !checked.length;
+        }
+
+        rowBoxes.forEach(function (cb) {
+            cb.addEventListener('change', function () {
+                matches[parseInt(cb.getAttribute('data-idx'), 10)].selected = cb.checked;
+                refresh();
+            });
+        });
+        allBox.addEventListener('change', function () {
+            rowBoxes.forEach(function (cb) {
+                if (cb.disabled) return;
+                cb.checked = allBox.checked;
+                matches[parseInt(cb.getAttribute('data-idx'), 10)].selected = cb.checked;
+            });
+            refresh();
+        });
+        applyBtn.addEventListener('click', function () {
+            clearPreview();
+            commitMatches(matches, opts, suffix, note);
+        });
+        el.querySelector('.cfr-preview-cancel').addEventListener('click', function () {
+            clearPreview();
+            setStatus('Cancelled; nothing was changed.');
+        });
+
+        refresh();
+        el.style.display = 'block';
+        var flagged = matches.filter(function (m) { return m.flag; }).length;
+        setStatus('Review the proposed recordings' + (suffix ? ' ' + suffix : '') + ', then apply the checked rows.' +
+                  (flagged ? ' ' + flagged + ' track' + (flagged === 1 ? ' is' : 's are') + ' flagged.' : '') +
+                  (note ? ' ' + note : ''));
+    }
+
+    function commitMatches(matches, opts, suffix, note) {
+        var res = assignMatches(matches, opts);
+        pushUndo(res.changes, suffix);
+        highlightLengthWarnings(res.lengthWarnings);
+        reportResult(res, suffix, note);
+        renderUnmatched(matches.filter(function (m) { return !m.source; }).map(function (m) { return m.track; }));
+    }
+
+    function clearPreview() {
+        var el = document.getElementById('cfr-preview');
+        if (el) { el.style.display = 'none'; el.innerHTML = ''; }
+    }
+
+    function trackLabel(track) {
+        var medium = track.medium && typeof track.medium.position === 'function' ? track.medium.position() + '.' : '';
+        return medium + track.position();
+    }
+
+    function confidenceColor(confidence) {
+        if (confidence >= 0.85) return '#007700';
+        if (confidence >= 0.65) return '#b36b00';
+        return '#a00';
+    }
+
+    function formatLength(ms) {
+        if (!ms) return '?:??';
+        var secs = Math.round(ms / 1000);
+        return Math.floor(secs / 60) + ':' + String(secs % 60).padStart(2, '0');
+    }
+
+    function formatDelta(targetMs, sourceMs) {
+        if (!targetMs || !sourceMs) return '';
+        return formatDiff(sourceMs - targetMs);
+    }
+
+    function formatDiff(diffMs) {
+        var diff = Math.round(diffMs / 1000);
+        return (diff > 0 ? '+' : diff < 0 ? '\u2212' : '\u00B1') + Math.abs(diff) + ' s';
+    }
+
+    function artistCreditText(credits) {
+        return (credits || []).map(function (ac) {
+            return (ac.name || (ac.artist && ac.artist.name) || '') + (ac.joinphrase || '');
+        }).join('');
+    }
+
+    // ── Length tolerance ──────────────────────────────────────────────────────
+    // A pair is out of tolerance when the lengths differ by more than both the
+    // seconds and the percentage allowance (a 0 disables that allowance). The
+    // settings live in localStorage since the script runs without GM grants.
+
+    var SETTINGS_KEY = 'cfr-settings';
+    var DEFAULT_SETTINGS = { toleranceSecs: 3, tolerancePct: 5, skipOutOfTolerance: false };
+    var settings = loadSettings();
+    var highlightedRows = [];
+
+    function loadSettings() {
+        try {
+            return Object.assign({}, DEFAULT_SETTINGS, JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'));
+        } catch (e) {
+            return Object.assign({}, DEFAULT_SETTINGS);
+        }
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        } catch (e) { console.warn('[CFR] Could not save settings:', e); }
+    }
+
+    function bindToleranceInputs() {
+        var secs = document.getElementById('cfr-tol-secs');
+        var pct = document.getElementById('cfr-tol-pct');
+        var skip = document.getElementById('cfr-tol-skip');
+        if (!secs || !pct || !skip) return;
+        secs.value = settings.toleranceSecs;
+        pct.value = settings.tolerancePct;
+        skip.checked = settings.skipOutOfTolerance;
+        var onChange = function () {
+            settings.toleranceSecs = Math.max(0, parseFloat(secs.value) || 0);
+            settings.tolerancePct = Math.max(0, parseFloat(pct.value) || 0);
+            settings.skipOutOfTolerance = skip.checked;
+            saveSettings();
+        };
+        [secs, pct, skip].forEach(function (el) { el.addEventListener('change', onChange); });
+    }
+
+    // Signed difference (source minus target, in ms) when out of tolerance, else null.
+    function lengthMismatch(track, src) {
+        var targetMs = track.length(), sourceMs = sourceLength(src);
+        if (!targetMs || !sourceMs) return null;
+        var diff = sourceMs - targetMs;
+        var allowed = Math.max(settings.toleranceSecs * 1000, targetMs * settings.tolerancePct / 100);
+        return Math.abs(diff) > allowed ? diff : null;
+    }
+
+    function describeLengthWarnings(warnings) {
+        var MAX_LISTED = 10;
+        var listed = warnings.slice(0, MAX_LISTED).map(function (w) {
+            return trackLabel(w.track) + ' (' + formatDiff(w.diff) + ')';
+        });
+        if (warnings.length > MAX_LISTED) listed.push('and ' + (warnings.length - MAX_LISTED) + ' more');
+        return listed.join(', ');
+    }
+
+    // Marks the affected track rows in the release editor itself; replaces any earlier marks.
+    function highlightLengthWarnings(warnings) {
+        highlightedRows.forEach(function (h) {
+            h.row.style.background = h.background;
+            h.row.title = h.title;
+        });
+        highlightedRows = [];
+        if (!warnings.length || typeof ko === 'undefined' || !ko.dataFor) return;
+
+        var rows = Array.from(document.querySelectorAll('#recordings tr'));
+        if (!rows.length) rows = Array.from(document.querySelectorAll('tr'));
+        warnings.forEach(function (w) {
+            rows.filter(function (row) { return ko.dataFor(row) === w.track; }).forEach(function (row) {
+                highlightedRows.push({ row: row, background: row.style.background, title: row.title });
+                row.style.background = '#ffe3e3';
+                row.title = 'Copied recording length differs by ' + formatDiff(w.diff) + ' from this track';
+            });
+        });
+    }
+
+    // ── Recording search for unmatched tracks ────────────────────────────────
+    // Tracks the source did not cover can be searched one by one; picking a
+    // candidate assigns it like any copied recording (and can be undone).
+
+    var SEARCH_LIMIT = 8;
+
+    function renderUnmatched(tracks) {
+        var el = document.getElementById('cfr-unmatched');
+        if (!el) return;
+        el.innerHTML = '';
+        if (!tracks.length) { el.style.display = 'none'; return; }
+
+        var heading = document.createElement('div');
+        heading.style.cssText = 'margin-bottom:4px;font-weight:bold;color:#444;';
+        heading.textContent = 'Not matched \u2014 search recordings for these tracks:';
+        el.appendChild(heading);
+
+        tracks.forEach(function (track) {
+            var row = document.createElement('div');
+            row.style.cssText = 'margin-bottom:4px;';
+            row.innerHTML =
+                '<span>' + escapeHtml(trackLabel(track) + ' \u201C' + (track.name() || '') + '\u201D') +
+                ' <span style="color:#888;">(' + formatLength(track.length()) + ')</span></span> ' +
+                '<button type="button" style="padding:1px 8px;font-size:12px;cursor:pointer;border-radius:3px;border:1px solid #888;background:#fff;">Search</button>' +
+                '<div class="cfr-search-results" style="margin:3px 0 0 12px;"></div>';
+            row.querySelector('button').addEventListener('click', function () {
+                searchRecordings(track, row.querySelector('.cfr-search-results'));
             });
+            el.appendChild(row);
         });
+        el.style.display = 'block';
+    }
 
-        if (!trackMap.size) { setStatus('No recordings found in that release.', '#a00'); return; }
+    function clearUnmatched() {
+        var el = document.getElementById('cfr-unmatched');
+        if (el) { el.style.display = 'none'; el.innerHTML = ''; }
+    }
+
+    function searchRecordings(track, out) {
+        var title = track.name();
+        if (!title) { out.textContent = 'This track has no title to search for.'; return; }
+
+        var vm = getReleaseEditorVM();
+        var release = vm && vm.rootField.release();
+        var artist = editorCreditText(track) || (release ? editorCreditText(release) : '');
+        var query = 'recording:"' + luceneEscape(title) + '"' + (artist ? ' AND artist:"' + luceneEscape(artist) + '"' : '');
+
+        out.textContent = 'Searching\u2026';
+        wsGetJSON('/ws/2/recording?query=' + encodeURIComponent(query) + '&limit=' + SEARCH_LIMIT + '&fmt=json')
+            .then(function (data) {
+                var recordings = data.recordings || [];
+                out.innerHTML = '';
+                if (!recordings.length) { out.textContent = 'No recordings found.'; return; }
+                recordings.forEach(function (rec) {
+                    out.appendChild(buildCandidateButton(track, rec, out));
+                });
+            })
+            .catch(function (err) { out.textContent = 'Search failed: ' + err.message; });
+    }
+
+    function buildCandidateButton(track, rec, out) {
+        var meta = [
+            artistCreditText(rec['artist-credit']),
+            formatLength(rec.length) + (track.length() && rec.length ? ' (' + formatDelta(track.length(), rec.length) + ')' : ''),
+            rec['first-release-date'] ? 'first released ' + rec['first-release-date'] : '',
+        ].filter(Boolean).join(' · ');
+
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.style.cssText = 'display:block;width:100%;text-align:left;margin-bottom:2px;padding:3px 7px;font-size:12px;cursor:pointer;border:1px solid #bbb;border-radius:3px;background:#fff;';
+        btn.innerHTML = '<strong>' + escapeHtml(rec.title) + '</strong>' +
+            (rec.disambiguation ? ' <span style="color:#888;">(' + escapeHtml(rec.disambiguation) + ')</span>' : '') +
+            ' <span style="color:#666;">' + escapeHtml(meta) + '</span>';
+        btn.addEventListener('click', function () {
+            try {
+                var snapshot = snapshotTrack(track);
+                track.recording(buildRecordingEntity(rec));
+                pushUndo([snapshot], 'for track ' + trackLabel(track));
+                out.innerHTML = '<span style="color:#007700;">Assigned \u201C' + escapeHtml(rec.title) + '\u201D.</span>';
+                setStatus('Assigned \u201C' + rec.title + '\u201D to track ' + trackLabel(track) + '.', '#007700');
+            } catch (e) {
+                console.error('[CFR] Error on track', track.position(), e);
+                setStatus('Could not assign that recording: ' + e.message, '#a00');
+            }
+        });
+        return btn;
+    }
+
+    function luceneEscape(s) {
+        return String(s).replace(/([+\-!(){}\[\]^"~*?:\\\/]|&&|\|\|)/g, '\\$1');
+    }
+
+    // ── Undo history ──────────────────────────────────────────────────────────
+    // Every apply pushes the previous state of the tracks it touched, so several
+    // candidate sources can be tried one after another and rolled back in turn.
+
+    var MAX_UNDO_STEPS = 20;
+    var undoStack = [];
+
+    function snapshotTrack(track) {
+        // The previous value may be an existing recording or the empty
+        // "add a new recording" entity; either way the object itself is restored.
+        return {
+            track: track,
+            recording: track.recording(),
+            name: track.name(),
+            artistCredit: track.artistCredit ? track.artistCredit() : undefined,
+            length: track.length(),
+            formattedLength: track.formattedLength ? track.formattedLength() : undefined,
+        };
+    }
+
+    function restoreTrack(snapshot) {
+        var track = snapshot.track;
+        track.recording(snapshot.recording);
+        track.name(snapshot.name);
+        if (track.artistCredit) track.artistCredit(snapshot.artistCredit);
+        if (track.formattedLength) track.formattedLength(snapshot.formattedLength);
+        track.length(snapshot.length);
+    }
+
+    function pushUndo(changes, label) {
+        if (!changes.length) return;
+        undoStack.push({ changes: changes, label: label || '' });
+        if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+        updateUndoButton();
+    }
+
+    function undoLastCopy() {
+        var step = undoStack.pop();
+        if (!step) return;
+        clearPreview();
+        highlightLengthWarnings([]);
+        // Restore in reverse so a track touched twice in one step ends up in its original state.
+        step.changes.slice().reverse().forEach(function (snapshot) {
+            try {
+                restoreTrack(snapshot);
+            } catch (e) {
+                console.error('[CFR] Error restoring track', snapshot.track.position(), e);
+            }
+        });
+        updateUndoButton();
+        setStatus('Undone: restored ' + step.changes.length + ' track' + (step.changes.length === 1 ? '' : 's') +
+                  (step.label ? ' (copy ' + step.label + ')' : '') + '.', '#555');
+    }
+
+    function updateUndoButton() {
+        var btn = document.getElementById('cfr-undo');
+        if (!btn) return;
+        btn.style.display = undoStack.length ? '' : 'none';
+        btn.textContent = 'Undo last copy' + (undoStack.length > 1 ? ' (' + undoStack.length + ' steps)' : '');
+    }
+
+    // ── Track matching ────────────────────────────────────────────────────────
+    // Each matcher returns one entry per target track: { track, source, confidence },
+    // where `source` is a /ws/2 track object (or null when nothing matched) and
+    // `confidence` is 0..1, or null for purely positional pairs.
+
+    function getMode() {
+        var el = document.getElementById('cfr-mode');
+        return el ? el.value : 'position';
+    }
+
+    function setMode(mode) {
+        var el = document.getElementById('cfr-mode');
+        if (!el || el.value === mode) return;
+        el.value = mode;
+        el.dispatchEvent(new Event('change'));
+    }
+
+    function matchTracks(targetTracks, sourceTracks) {
+        var mode = getMode();
+        if (mode === 'align') return alignTracks(targetTracks, sourceTracks);
+        var matches = pairByPosition(targetTracks, sourceTracks);
+        return mode === 'isrc' ? matchByIsrc(matches, sourceTracks) : matches;
+    }
+
+    function pairByPosition(targetTracks, sourceTracks) {
+        var byPos = new Map();
+        sourceTracks.forEach(function (t) { byPos.set(t.position, t); });
+        return targetTracks.map(function (track) {
+            return { track: track, source: byPos.get(track.position()) || null, confidence: null };
+        });
+    }
+
+    // Pairs the n-th target track with the n-th source track (used for explicit ranges).
+    function matchInOrder(targetTracks, sourceTracks) {
+        var mode = getMode();
+        if (mode === 'align') return alignTracks(targetTracks, sourceTracks);
+        var matches = targetTracks.map(function (track, idx) {
+            return { track: track, source: sourceTracks[idx] || null, confidence: null };
+        });
+        return mode === 'isrc' ? matchByIsrc(matches, sourceTracks) : matches;
+    }
+
+    // Re-pairs every target track that carries an ISRC with the source recording
+    // sharing it, wherever that recording sits. Tracks without an ISRC keep the
+    // positional pairing they came in with, unless that source recording was
+    // already claimed by another track's ISRC; ambiguous cases get a `flag` and
+    // are left unchecked in the preview. A source without any ISRCs, or a
+    // tracklist here without any, cannot confirm anything, so the positional
+    // pairs are kept and flagged instead.
+    function matchByIsrc(matches, sourceTracks) {
+        if (!hasTargetIsrcs(matches)) {
+            return matches.map(function (m) {
+                if (!m.source) return m;
+                return { track: m.track, source: m.source, confidence: null,
+                         flag: 'no ISRCs on this tracklist; paired by position' };
+            });
+        }
+
+        var sourcesByIsrc = new Map();
+        sourceTracks.forEach(function (src) {
+            (src.recording.isrcs || []).forEach(function (isrc) {
+                var list = sourcesByIsrc.get(isrc) || [];
+                if (list.indexOf(src) < 0) list.push(src);
+                sourcesByIsrc.set(isrc, list);
+            });
+        });
+
+        if (!sourcesByIsrc.size) {
+            return matches.map(function (m) {
+                if (!m.source || !getTrackIsrcs(m.track).length) return m;
+                return { track: m.track, source: m.source, confidence: null,
+                         flag: 'source has no ISRCs; paired by position' };
+            });
+        }
+
+        var targetIsrcCount = new Map();
+        matches.forEach(function (m) {
+            getTrackIsrcs(m.track).forEach(function (isrc) {
+                targetIsrcCount.set(isrc, (targetIsrcCount.get(isrc) || 0) + 1);
+            });
+        });
+
+        var resolved = matches.map(function (m) {
+            var isrcs = getTrackIsrcs(m.track);
+            if (!isrcs.length) return null;
+
+            var candidates = [];
+            isrcs.forEach(function (isrc) {
+                (sourcesByIsrc.get(isrc) || []).forEach(function (src) {
+                    if (!candidates.some(function (c) { return c.recording.id === src.recording.id; })) candidates.push(src);
+                });
+            });
+            var duplicated = isrcs.filter(function (isrc) { return targetIsrcCount.get(isrc) > 1; });
+
+            if (!candidates.length) {
+                return { track: m.track, source: null, confidence: null, flag: 'ISRC ' + isrcs.join(', ') + ' not on source' };
+            }
+            if (candidates.length > 1) {
+                return { track: m.track, source: null, confidence: null,
+                         flag: 'ISRC matches ' + candidates.length + ' different recordings' };
+            }
+            return { track: m.track, source: candidates[0], confidence: 1,
+                     flag: duplicated.length ? 'ISRC ' + duplicated.join(', ') + ' used by several tracks here' : null };
+        });
+
+        var claimedBy = new Map();
+        resolved.forEach(function (r) {
+            if (r && r.source && !claimedBy.has(r.source.recording.id)) claimedBy.set(r.source.recording.id, r.track);
+        });
+
+        return matches.map(function (m, idx) {
+            if (resolved[idx]) return resolved[idx];
+            var claimant = m.source && claimedBy.get(m.source.recording.id);
+            if (!claimant) return m;
+            return { track: m.track, source: null, confidence: null,
+                     flag: 'source track ' + m.source.position + ' already matched by ISRC to track ' + trackLabel(claimant) };
+        });
+    }
+
+    // The release editor has no ISRC field, so a track only has ISRCs when its
+    // recording is already linked (or a script put them on the track). On
+    // /release/add that is usually none of them; see hasTargetIsrcs().
+    var NO_TARGET_ISRCS = 'No track here has an ISRC, so nothing was matched by ISRC; the tracks were only paired by position.';
+
+    function hasTargetIsrcs(matches) {
+        return matches.some(function (m) { return getTrackIsrcs(m.track).length; });
+    }
+
+    function getTrackIsrcs(track) {
+        var found = [];
+        [track.isrcs, track.isrc, track.recording() && track.recording().isrcs].forEach(function (value) {
+            if (typeof value === 'function') value = value();
+            [].concat(value || []).forEach(function (isrc) {
+                if (isrc && typeof isrc === 'object') isrc = isrc.isrc || isrc.name;
+                isrc = String(isrc || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+                if (/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc) && found.indexOf(isrc) < 0) found.push(isrc);
+            });
+        });
+        return found;
+    }
+
+    // Order-preserving alignment of target tracks against source tracks. Gaps are
+    // free, so a bonus track inserted on either side is simply left unpaired, and
+    // pairs scoring below MIN_ALIGN_SCORE are never made.
+    var MIN_ALIGN_SCORE = 0.5;
+
+    function alignTracks(targetTracks, sourceTracks) {
+        var n = targetTracks.length, m = sourceTracks.length;
+        var scores = targetTracks.map(function (track) {
+            return sourceTracks.map(function (src) { return scorePair(track, src); });
+        });
+
+        // dp[i][j]: best total score aligning the first i target with the first j source tracks
+        var dp = [], i, j;
+        for (i = 0; i <= n; i++) {
+            dp.push(new Array(m + 1).fill(0));
+            for (j = 1; i > 0 && j <= m; j++) {
+                var s = scores[i - 1][j - 1];
+                dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1],
+                                    s >= MIN_ALIGN_SCORE ? dp[i - 1][j - 1] + s : -Infinity);
+            }
+        }
+
+        var matches = targetTracks.map(function (track) {
+            return { track: track, source: null, confidence: null };
+        });
+        i = n; j = m;
+        while (i > 0 && j > 0) {
+            var score = scores[i - 1][j - 1];
+            if (score >= MIN_ALIGN_SCORE && dp[i][j] === dp[i - 1][j - 1] + score) {
+                matches[i - 1].source = sourceTracks[j - 1];
+                matches[i - 1].confidence = score;
+                i--; j--;
+            } else if (dp[i][j] === dp[i - 1][j]) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        return matches;
+    }
+
+    function scorePair(track, src) {
+        var rec = src.recording || {};
+        var targetTitle = track.name() || '';
+        var title = titleSimilarity(targetTitle, src.title);
+        if (rec.title && rec.title !== src.title) title = Math.max(title, titleSimilarity(targetTitle, rec.title));
+        var length = lengthSimilarity(track.length(), src.length || rec.length);
+        return length === null ? title : 0.7 * title + 0.3 * length;
+    }
+
+    // 1 within ±2 s, falling off linearly to 0 at ±32 s; null if either length is unknown.
+    function lengthSimilarity(a, b) {
+        if (!a || !b) return null;
+        var diff = Math.abs(a - b) / 1000;
+        if (diff <= 2) return 1;
+        return Math.max(0, 1 - (diff - 2) / 30);
+    }
+
+    function normalizeTitle(s) {
+        return String(s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019\u201C\u201D'"`]/g, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    // Also compare without version suffixes such as "(Remastered 2011)", "[Live]" or " - Radio Edit".
+    function stripVersion(s) {
+        return String(s || '').replace(/\s*[([][^)\]]*[)\]]/g, '').replace(/\s+[-\u2013\u2014]\s+.*$/, '');
+    }
+
+    function titleSimilarity(a, b) {
+        var ka = titleKeys(a), kb = titleKeys(b);
+        var full = dice(ka[0], kb[0]);
+        return ka[1] === ka[0] && kb[1] === kb[0] ? full : Math.max(full, dice(ka[1], kb[1]));
+    }
+
+    // Normalized title with and without version suffix, computed once per title
+    // since alignment compares every target title with every source title.
+    var titleKeyCache = new Map();
+
+    function titleKeys(s) {
+        s = String(s || '');
+        var keys = titleKeyCache.get(s);
+        if (!keys) {
+            keys = [normalizeTitle(s), normalizeTitle(stripVersion(s))];
+            titleKeyCache.set(s, keys);
+        }
+        return keys;
+    }
+
+    // Sørensen–Dice coefficient over character bigrams, merged from the sorted
+    // bigram lists of both strings (cached, as the same titles recur in every pair).
+    var bigramCache = new Map();
+
+    function dice(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+        var ga = bigrams(a), gb = bigrams(b);
+        var hits = 0, i = 0, j = 0;
+        while (i < ga.length && j < gb.length) {
+            if (ga[i] === gb[j]) { hits++; i++; j++; }
+            else if (ga[i] < gb[j]) i++;
+            else j++;
+        }
+        return 2 * hits / (ga.length + gb.length);
+    }
+
+    function bigrams(s) {
+        var grams = bigramCache.get(s);
+        if (!grams) {
+            grams = [];
+            for (var i = 0; i < s.length - 1; i++) grams.push(s.substr(i, 2));
+            grams.sort();
+            bigramCache.set(s, grams);
+        }
+        return grams;
+    }
+
+    // ── Apply recordings (whole release) ─────────────────────────────────────
+    // Position mode pairs medium:track positions; alignment mode aligns the whole
+    // tracklist at once, so tracks can also shift across medium boundaries.
+
+    function applyRecordings(releaseData) {
+        var sourceMedia = releaseData.media || [];
+        var sourceTracks = [];
+        sourceMedia.forEach(function (medium) {
+            sourceTracks = sourceTracks.concat(withRecordings(medium.tracks));
+        });
+
+        if (!sourceTracks.length) { setStatus('No recordings found in that release.', '#a00'); return; }
 
         var vm = getReleaseEditorVM();
         if (!vm) { setStatus('Could not access the release editor view-model.', '#a00'); return; }
@@ -302,22 +1663,23 @@
         var release = vm.rootField.release();
         if (!release) { setStatus('No release loaded in editor.', '#a00'); return; }
 
-        var total = { applied: 0, skipped: 0, notFound: 0 };
-
-        release.mediums().forEach(function (medium) {
-            var medPos = medium.position();
-            var perMedium = new Map();
-            trackMap.forEach(function (rec, key) {
-                var parts = key.split(':');
-                if (parseInt(parts[0], 10) === medPos) perMedium.set(parseInt(parts[1], 10), rec);
+        var matches = [];
+        if (getMode() === 'align') {
+            matches = alignTracks(getAllTracks(release), sourceTracks);
+        } else {
+            release.mediums().forEach(function (medium) {
+                var sourceMedium = sourceMedia.find(function (m) { return m.position === medium.position(); });
+                matches = matches.concat(pairByPosition(medium.tracks(), sourceMedium ? withRecordings(sourceMedium.tracks) : []));
             });
-            var res = assignToTracks(medium.tracks(), perMedium);
-            total.applied += res.applied;
-            total.skipped += res.skipped;
-            total.notFound += res.notFound;
-        });
+            // ISRCs are matched release-wide; positions are only the fallback.
+            if (getMode() === 'isrc') matches = matchByIsrc(matches, sourceTracks);
+        }
 
-        reportResult(total);
+        previewMatches(matches);
+    }
+
+    function withRecordings(tracks) {
+        return (tracks || []).filter(function (t) { return t.recording; });
     }
 
     // ── Apply recordings from a single source medium ─────────────────────────
@@ -331,12 +1693,9 @@
             return;
         }
 
-        var trackMap = new Map();
-        (sourceMedium.tracks || []).forEach(function (track) {
-            if (track.recording) trackMap.set(track.position, track.recording);
-        });
+        var sourceTracks = withRecordings(sourceMedium.tracks);
 
-        if (!trackMap.size) {
+        if (!sourceTracks.length) {
             setStatus('No recordings found on that medium.', '#a00');
             return;
         }
@@ -350,29 +1709,29 @@
         var targetMediums = release.mediums();
         var sourceLabel = 'medium ' + sourceMediumPos +
             (sourceMedium.title ? ' \u201C' + sourceMedium.title + '\u201D' : '') +
-            ' (' + trackMap.size + ' tracks)';
+            ' (' + sourceTracks.length + ' tracks)';
 
         // One target medium: just apply.
         if (targetMediums.length === 1) {
-            reportResult(assignToTracks(targetMediums[0].tracks(), trackMap), 'from source ' + sourceLabel);
+            previewMatches(matchTracks(targetMediums[0].tracks(), sourceTracks), 'from source ' + sourceLabel);
             return;
         }
 
         // Multiple target mediums: if exactly one has a matching track count, use it.
         var matching = targetMediums.filter(function (m) {
-            return m.tracks().length === trackMap.size;
+            return m.tracks().length === sourceTracks.length;
         });
         if (matching.length === 1) {
-            var res = assignToTracks(matching[0].tracks(), trackMap);
-            reportResult(res, 'from source ' + sourceLabel + ' \u2192 target medium ' + matching[0].position());
+            previewMatches(matchTracks(matching[0].tracks(), sourceTracks),
+                           'from source ' + sourceLabel + ' \u2192 target medium ' + matching[0].position());
             return;
         }
 
         // Ambiguous: let the user pick the target medium.
-        renderTargetChooser(targetMediums, trackMap, sourceLabel);
+        renderTargetChooser(targetMediums, sourceTracks, sourceLabel, releaseData.id, sourceMediumPos);
     }
 
-    function renderTargetChooser(targetMediums, trackMap, sourceLabel) {
+    function renderTargetChooser(targetMediums, sourceTracks, sourceLabel, releaseMbid, sourceMediumPos) {
         var chooser = document.getElementById('cfr-target-chooser');
         if (!chooser) return;
         chooser.innerHTML =
@@ -387,12 +1746,22 @@
             btn.textContent = 'Medium ' + m.position() + name + ' \u00B7 ' + m.tracks().length + ' tracks';
             btn.addEventListener('click', function () {
                 clearTargetChooser();
-                reportResult(assignToTracks(m.tracks(), trackMap),
-                             'from source ' + sourceLabel + ' \u2192 target medium ' + m.position());
+                previewMatches(matchTracks(m.tracks(), sourceTracks),
+                               'from source ' + sourceLabel + ' \u2192 target medium ' + m.position());
             });
             chooser.appendChild(btn);
         });
 
+        var custom = document.createElement('button');
+        custom.type = 'button';
+        custom.style.cssText = 'display:block;width:100%;text-align:left;margin-bottom:3px;padding:4px 7px;font-size:12px;cursor:pointer;border:1px dashed #bbb;border-radius:3px;background:#fff;';
+        custom.textContent = 'Custom track range or offset\u2026';
+        custom.addEventListener('click', function () {
+            clearTargetChooser();
+            openCustomMapping(releaseMbid, sourceMediumPos);
+        });
+        chooser.appendChild(custom);
+
         chooser.style.display = 'block';
         setStatus('Choose a target medium above.', '#555');
     }
@@ -419,14 +1788,85 @@
         return null;
     }
 
+    // ── URL-driven automation ─────────────────────────────────────────────────
+    // Import pipelines can open the release editor with #cfr-source=<release or
+    // medium MBID/URL> (or ?cfr-source=…), optionally with cfr-mode=align|isrc.
+    // Once the seeded tracklist is in the editor the copy runs by itself: the rows
+    // the preview would pre-check are applied and the usual report is shown, with
+    // undo available as after any other copy.
+
+    var AUTOMATION_POLL_MS = 500;
+    var AUTOMATION_TIMEOUT_MS = 60000;
+    var autoApply = false;
+
+    function readAutomationParams() {
+        var query = new URLSearchParams(location.search);
+        var hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+        var source = hash.get('cfr-source') || query.get('cfr-source');
+        if (!source) return null;
+        return { source: source, mode: hash.get('cfr-mode') || query.get('cfr-mode') };
+    }
+
+    function startAutomation() {
+        var params = readAutomationParams();
+        if (!params) return;
+
+        var started = Date.now();
+        var timer = setInterval(function () {
+            var vm = getReleaseEditorVM();
+            var release = vm && vm.rootField.release();
+            var ready = release && document.getElementById('cfr-widget') &&
+                        release.mediums().some(function (m) { return m.tracks().length; });
+            if (ready) {
+                clearInterval(timer);
+                runAutomation(params);
+            } else if (Date.now() - started > AUTOMATION_TIMEOUT_MS) {
+                clearInterval(timer);
+                setStatus('Automatic copy gave up: the tracklist never appeared in the editor.', '#a00');
+            }
+        }, AUTOMATION_POLL_MS);
+    }
+
+    function runAutomation(params) {
+        var modeSelect = document.getElementById('cfr-mode');
+        // The mode comes straight from the URL, so only take it if it names an option.
+        if (params.mode && modeSelect && Array.from(modeSelect.options).some(function (o) { return o.value === params.mode; })) {
+            setMode(params.mode);
+        }
+        var input = document.getElementById('cfr-input');
+        if (input) input.value = params.source;
+
+        var source = parseSourceInput(params.source);
+        if (!source) { setStatus('Automatic copy: no valid MBID in cfr-source.', '#a00'); return; }
+
+        setStatus('Automatic copy from ' + params.source + '\u2026');
+        (source.mediumMbid ? resolveMedium(source.mediumMbid) : Promise.resolve(source))
+            .then(function (info) {
+                return fetchRelease(info.releaseMbid).then(function (data) {
+                    // The apply functions reach the preview synchronously; if they stop at the
+                    // target-medium chooser instead, the user finishes through the normal preview.
+                    autoApply = true;
+                    try {
+                        if (info.mediumPos) applyRecordingsFromMedium(data, info.mediumPos);
+                        else applyRecordings(data);
+                    } finally {
+                        autoApply = false;
+                    }
+                });
+            })
+            .catch(function (err) { setStatus('Automatic copy failed: ' + err.message, '#a00'); });
+    }
+
     // ── Tab-change observer ───────────────────────────────────────────────────
 
     var observer = new MutationObserver(function () {
         if (!document.getElementById('cfr-widget')) injectUI();
+        else scheduleRerank();
     });
     observer.observe(document.body, { childList: true, subtree: true });
 
     injectUI();
+    startAutomation();
 
 })();
                 
@@ -3,16 +3,21 @@
 // @namespace   http://tampermonkey.net/
 // @downloadURL https://github.com/YoGo9/Scripts/raw/main/HarmonyRelationshipSeeder.user.js
 // @updateURL   https://github.com/YoGo9/Scripts/raw/main/HarmonyRelationshipSeeder.user.js
-// @version     1.9.2
+// @version     1.21.0
 // @tag         ai-created
-// @description Generate MusicBrainz relationship seeder URLs from Harmony streaming links.
+// @description Generate MusicBrainz relationship seeder URLs from Harmony streaming links, for recordings and the release, plus ISRC submissions.
 // @author      YoGo9
 // @license     MIT
 // @match       https://harmony.pulsewidth.org.uk/release/actions*
 // @match       https://harmony.pulsewidth.org.uk/release/*/actions*
 // @match       https://harmony.mybrainz.dev/release/actions*
 // @match       https://harmony.mybrainz.dev/release/*/actions*
-// @grant       none
+// @match       https://harmony.pulsewidth.org.uk/release?*
+// @match       https://harmony.mybrainz.dev/release?*
+// @grant       GM_getValue
+// @grant       GM_setValue
+// @grant       GM_xmlhttpRequest
+// @connect     musicbrainz.org
 // @run-at      document-end
 // ==/UserScript==
 
@@ -21,35 +26,102 @@
 
   const INJECT_MARK = 'hrs-injected-v19';
 
-  const serviceMap = {
-    spotify:  { name: 'Spotify',    color: '#1DB954' },
-    deezer:   { name: 'Deezer',     color: '#FF6600' },
-    itunes:   { name: 'iTunes',     color: '#A6A6A6' },
-    tidal:    { name: 'Tidal',      color: '#000000' },
-    bandcamp: { name: 'Bandcamp',   color: '#629AA0' },
-    beatport: { name: 'Beatport',   color: '#01FF01' },
-    qobuz:    { name: 'Qobuz',      color: '#003CA6' },
-    bugs:     { name: 'Bugs!',      color: '#FF3D33' },
-    melon:    { name: 'Melon',      color: '#00CD3C' },
-    genie:    { name: 'Genie',      color: '#0096FF' },
-    vibe:     { name: 'Naver Vibe', color: '#E404AA' },
+  // Provider registry: one entry per service, matched against recording-level URLs.
+  // `harmony` is the provider name Harmony uses in its provider list (album links),
+  // `linkTypes` the link types its URLs get (release and recording relationships share the names).
+  const builtinProviders = [
+    { id: 'spotify',      name: 'Spotify',       color: '#1DB954', harmony: 'Spotify',       match: /open\.spotify\.com\/(?:intl-[a-z]+\/)?track\//,                           linkTypes: ['free streaming'] },
+    { id: 'deezer',       name: 'Deezer',        color: '#FF6600', harmony: 'Deezer',        match: /deezer\.com\/(?:[a-z]{2}\/)?track\//,                                     linkTypes: ['free streaming'] },
+    { id: 'itunes',       name: 'iTunes',        color: '#A6A6A6', harmony: 'iTunes',        match: /music\.apple\.com\//,                                                     linkTypes: ['purchase for download', 'streaming'] },
+    { id: 'tidal',        name: 'Tidal',         color: '#000000', harmony: 'Tidal',         match: /tidal\.com\/(?:browse\/)?track\//,                                        linkTypes: ['streaming'] },
+    { id: 'bandcamp',     name: 'Bandcamp',      color: '#629AA0', harmony: 'Bandcamp',      match: /bandcamp\.com\/track\//,                                                  linkTypes: ['purchase for download', 'free streaming'] },
+    { id: 'beatport',     name: 'Beatport',      color: '#01FF01', harmony: 'Beatport',      match: /beatport\.com\/track\//,                                                  linkTypes: ['purchase for download'] },
+    { id: 'qobuz',        name: 'Qobuz',         color: '#003CA6', harmony: 'Qobuz',         match: /open\.qobuz\.com\/track\//,                                               linkTypes: ['purchase for download', 'streaming'] },
+    { id: 'bugs',         name: 'Bugs!',         color: '#FF3D33', harmony: 'Bugs!',         match: /music\.bugs\.co\.kr\/track\//,                                            linkTypes: ['streaming'] },
+    { id: 'melon',        name: 'Melon',         color: '#00CD3C', harmony: 'Melon',         match: /melon\.com\/song\//,                                                      linkTypes: ['streaming'] },
+    { id: 'genie',        name: 'Genie',         color: '#0096FF', harmony: 'Genie',         match: /genie\.co\.kr\/detail\/songInfo/,                                         linkTypes: ['streaming'] },
+    { id: 'vibe',         name: 'Naver Vibe',    color: '#E404AA', harmony: 'Naver Vibe',    match: /vibe\.naver\.com\/track\//,                                               linkTypes: ['streaming'] },
+    { id: 'youtubemusic', name: 'YouTube Music', color: '#FF0000', harmony: 'YouTube Music', match: /music\.youtube\.com\/watch\?(?:.*&)?v=/,                                  linkTypes: ['free streaming'] },
+    { id: 'amazon',       name: 'Amazon Music',  color: '#25D1DA', harmony: 'Amazon Music',  match: /music\.amazon\.[a-z.]+\/(?:tracks\/|albums\/[^?#]+\?(?:.*&)?trackAsin=)/, linkTypes: ['streaming'] },
+    { id: 'soundcloud',   name: 'SoundCloud',    color: '#FF5500', harmony: 'SoundCloud',    match: /soundcloud\.com\/[^/?#]+\/(?!sets\/)[^/?#]+/,                             linkTypes: ['free streaming'] },
+    { id: 'kkbox',        name: 'KKBOX',         color: '#09CEF6', harmony: 'KKBOX',         match: /kkbox\.com\/[a-z]{2}\/[a-z]{2}\/song\//,                                  linkTypes: ['streaming'] },
+    { id: 'mora',         name: 'mora',          color: '#E4007F', harmony: 'mora',          match: /mora\.jp\/package\//,                                                     linkTypes: ['purchase for download'] },
+  ];
+
+  // Per-provider URL normalization (keyed by registry id): turns whatever Harmony
+  // rendered into the canonical URL MusicBrainz expects. Providers without an
+  // entry here (custom ones included) only lose tracking parameters.
+  const urlNormalizers = {
+    spotify: url => {
+      const u = cleanUrl(url, []);
+      u.pathname = u.pathname.replace(/^\/intl-[a-z]+\//, '/');
+      return u.href;
+    },
+    deezer: url => {
+      const u = cleanUrl(url, []);
+      u.hostname = 'www.deezer.com';
+      u.pathname = u.pathname.replace(/^\/[a-z]{2}(?:-[a-z]{2})?\/(?=(?:track|album|artist)\/)/, '/');
+      return u.href;
+    },
+    itunes: url => {
+      const u = cleanUrl(url, ['i']);
+      const m = u.pathname.match(/^\/([a-z]{2})\/(album|song|music-video)\/(?:[^/]+\/)?(?:id)?(\d+)/);
+      if (!m) return u.href;
+      const song = u.searchParams.get('i');
+      return song ? `https://music.apple.com/${m[1]}/song/${song}` : `https://music.apple.com/${m[1]}/${m[2]}/${m[3]}`;
+    },
+    tidal: url => {
+      const u = cleanUrl(url, []);
+      u.hostname = 'tidal.com';
+      u.pathname = u.pathname.replace(/^\/browse\//, '/');
+      return u.href;
+    },
+    bandcamp: url => cleanUrl(url, []).href,
+    beatport: url => cleanUrl(url, []).href,
+    qobuz: url => cleanUrl(url, []).href,
+    bugs: url => cleanUrl(url, []).href,
+    melon: url => cleanUrl(url, ['songId', 'albumId']).href,
+    genie: url => cleanUrl(url, ['xgnm', 'axnm']).href,
+    vibe: url => cleanUrl(url, []).href,
+    youtubemusic: url => cleanUrl(url, ['v']).href,
+    amazon: url => {
+      const u = cleanUrl(url, ['trackAsin']);
+      const track = u.searchParams.get('trackAsin');
+      return track ? `${u.origin}/tracks/${track}` : u.href;
+    },
+    soundcloud: url => {
+      const u = cleanUrl(url, []);
+      u.hostname = 'soundcloud.com';
+      return u.href;
+    },
+    kkbox: url => cleanUrl(url, []).href,
+    mora: url => cleanUrl(url, []).href,
   };
 
-  const providerNameMap = {
-    spotify: 'Spotify',
-    deezer: 'Deezer',
-    itunes: 'iTunes',
-    tidal: 'Tidal',
-    bandcamp: 'Bandcamp',
-    beatport: 'Beatport',
-    qobuz: 'Qobuz',
-    bugs: 'Bugs!',
-    melon: 'Melon',
-    genie: 'Genie',
-    vibe: 'Naver Vibe',
+  // Custom providers are stored as { name, color, harmony, pattern } with `pattern` a regex source
+  const CUSTOM_PROVIDERS_KEY = 'hrsCustomProviders';
+  const providers = [...builtinProviders, ...loadCustomProviders()];
+
+  // Edit note templates; placeholders are filled in by fillNoteTemplate()
+  const NOTE_TEMPLATES_KEY = 'hrsNoteTemplates';
+  const defaultNoteTemplates = {
+    single: 'Release: https://musicbrainz.org/release/{release_mbid}\n{service} links from Harmony: {harmony_url}\n{album_urls}',
+    all: 'Release: https://musicbrainz.org/release/{release_mbid}\nAll services from Harmony: {harmony_url}\n{album_urls}',
+  };
+  const noteTemplates = { ...defaultNoteTemplates, ...GM_getValue(NOTE_TEMPLATES_KEY, {}) };
+  const notePlaceholders = {
+    release_mbid: 'MBID of the MusicBrainz release',
+    harmony_url: 'URL of this Harmony page',
+    service: 'service name (e.g. Spotify; "All services" for the combined seeder)',
+    album_urls: 'one "<Service> Album: <url>" line per album link',
+    recording_count: 'number of recordings in the seeder',
   };
 
-  // MusicBrainz link type IDs → common names
+  // Large payloads can be split into batches, by number of recordings or by seeder URL length
+  const BATCHING_KEY = 'hrsBatching';
+  const batching = { mode: 'none', recordings: 20, urlLength: 8000, ...GM_getValue(BATCHING_KEY, {}) };
+
+  // MusicBrainz link type IDs → common names (fallback until MusicBrainz's own type data has loaded)
   const linkTypeMap = {
     '254': 'purchase for download',
     '255': 'download for free',
@@ -65,7 +137,40 @@
     '976': 'secondhandsongs',
   };
 
+  // Link type names resolved from MusicBrainz's relationship type data, cached with an expiry
+  const LINK_TYPES_KEY = 'hrsLinkTypes';
+  const LINK_TYPES_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+  const linkTypeNames = { ...linkTypeMap, ...GM_getValue(LINK_TYPES_KEY, null)?.names };
+
+  // Link types offered in the review dialog for recording → provider URLs
+  const recordingUrlTypes = ['free streaming', 'streaming', 'purchase for download', 'download for free'];
+
+  // Release → URL link type IDs, as seeded into the release editor
+  const releaseLinkTypeIds = {
+    'purchase for download': 74,
+    'download for free': 75,
+    'free streaming': 85,
+    'streaming': 980,
+  };
+
+  let linkedUrls = null;        // recording/release MBID → Set of (regionless) URL keys already linked in MusicBrainz
+  let mbReleasePromise = null;
+  const mbRecordings = new Map(); // recording MBID → { title, length, isrcs } as known to MusicBrainz
+  const trackIndexes = new Map(); // recording MBID → 1-based track index across the release (as MagicISRC counts)
+  const mbTracklist = [];         // recordings of the MusicBrainz release in track order ({ id, title })
+  const mbMediumSizes = [];       // track count of each medium of the MusicBrainz release
+  const recordingLookups = new Map(); // recording MBID → pending lookup of a recording not on the release
+  let recordingQueue = Promise.resolve(); // serializes those lookups to stay within the MB rate limit
+
+  // Track rows of the tracklist on Harmony's release lookup page
+  const LOOKUP_TRACK_ROWS = 'table.tracklist tr';
+  let lookupState = null;         // 'pending' while the release loads, 'failed' stops further attempts
+
+  // A provider track and its recording count as consistent within this length difference
+  const LENGTH_TOLERANCE_MS = 5000;
+
   // --- bootstrap & re-run on SPA-ish updates ---
+  refreshLinkTypes();
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
@@ -79,17 +184,54 @@
     if (document.querySelector(`[data-${INJECT_MARK}="1"]`)) return;
 
     const firstAction = findFirstRecordingAction();
-    if (!firstAction) return;
+    if (!firstAction) {
+      initLookupPage();
+      return;
+    }
 
+    // Even without any known provider the panel is shown, so custom providers can be added
     const available = getAvailableServices();
-    if (available.length === 0) return;
-
     const panel = buildPanel(available);
     // Try to place above the first action
     firstAction.parentNode.insertBefore(panel, firstAction);
     panel.setAttribute(`data-${INJECT_MARK}`, '1');
   }
 
+  // On the release lookup page there are no recording actions: recordings come from
+  // the matched MusicBrainz release, paired with the track table by position.
+  function initLookupPage() {
+    if (lookupState === 'pending' || lookupState === 'failed' || isActionsPage()) return;
+    const table = document.querySelector(LOOKUP_TRACK_ROWS)?.closest('table');
+    const releaseMbid = extractReleaseMbid();
+    if (!table || !releaseMbid) return;
+
+    lookupState = 'pending';
+    loadMbRelease(releaseMbid)
+      .then(() => {
+        lookupState = 'done';
+        if (document.querySelector(`[data-${INJECT_MARK}="1"]`)) return;
+        const panel = buildPanel(getAvailableServices());
+        panel.style.margin = '10px 0';
+        const problem = lookupTracklistProblem(getLookupTracklists());
+        if (problem) {
+          const warning = document.createElement('p');
+          warning.textContent = `⚠ ${problem}, so its tracks cannot be paired with the recordings by position. Use Harmony's release actions page instead.`;
+          warning.style.color = '#a00';
+          panel.appendChild(warning);
+        }
+        table.parentNode.insertBefore(panel, table);
+        panel.setAttribute(`data-${INJECT_MARK}`, '1');
+      })
+      .catch(e => {
+        lookupState = 'failed';
+        console.error('MusicBrainz lookup error:', e);
+      });
+  }
+
+  function isActionsPage() {
+    return /\/actions\b/.test(window.location.pathname);
+  }
+
   function findFirstRecordingAction() {
     // Look for the "Link external IDs" action for recordings
     // It looks like:
@@ -115,17 +257,20 @@
     title.innerHTML = `<strong>Generate Relationship Seeders:</strong>`;
     wrapper.appendChild(title);
 
-    // Build buttons
-    availableServices.forEach(service => {
-      const seederUrl = generateSeederUrl(service);
-      if (!seederUrl) return;
+    // Build buttons; each one opens the review dialog for its service(s)
+    const recordings = extractAllRecordingData();
+    const seedable = availableServices.filter(service => recordings.some(r => r.urls.some(u => u.service === service)));
+    const buttons = [];
+    seedable.forEach(service => {
       const info = getServiceInfo(service);
-      const a = document.createElement('a');
-      a.href = seederUrl;
-      a.textContent = info.name;
-      a.className = 'seeder-btn';
-      Object.assign(a.style, btnStyle(info.color));
-      wrapper.appendChild(a);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = info.name;
+      btn.className = 'seeder-btn';
+      Object.assign(btn.style, btnStyle(info.color));
+      btn.addEventListener('click', () => openReviewDialog([service]));
+      wrapper.appendChild(btn);
+      buttons.push({ btn, label: info.name, services: [service] });
     });
 
     const sep = document.createElement('span');
@@ -134,29 +279,331 @@
     sep.style.color = '#666';
     wrapper.appendChild(sep);
 
-    const allUrl = generateAllServicesSeeder();
-    if (allUrl) {
-      const allBtn = document.createElement('a');
-      allBtn.href = allUrl;
+    if (seedable.length) {
+      const allBtn = document.createElement('button');
+      allBtn.type = 'button';
       allBtn.textContent = 'All Services';
       Object.assign(allBtn.style, btnStyle('#28a745', true));
+      allBtn.addEventListener('click', () => openReviewDialog(seedable));
       wrapper.appendChild(allBtn);
+      buttons.push({ btn: allBtn, label: 'All Services', services: seedable });
     }
 
+    const settingsBtn = document.createElement('button');
+    settingsBtn.type = 'button';
+    settingsBtn.textContent = '⚙️';
+    settingsBtn.title = 'Settings: custom providers and edit note templates';
+    Object.assign(settingsBtn.style, btnStyle('#e9ecef'), { color: '#333' });
+    settingsBtn.addEventListener('click', showSettings);
+    wrapper.appendChild(settingsBtn);
+
+    const loadedLinks = document.createElement('div');
+    wrapper.appendChild(buildPayloadLoadButton(loadedLinks));
+
     const hint = document.createElement('p');
-    hint.textContent = 'Create seeder URLs for individual services or all at once';
+    hint.textContent = seedable.length
+      ? 'Review and seed the links of individual services or all at once'
+      : 'No links of a known provider found; use ⚙️ to add a custom provider.';
     Object.assign(hint.style, { fontSize: '12px', color: '#666', marginTop: '5px' });
 
     const rightDiv = document.createElement('div');
     rightDiv.appendChild(title);
     rightDiv.appendChild(wrapper);
     rightDiv.appendChild(hint);
+    rightDiv.appendChild(loadedLinks);
+    rightDiv.appendChild(buildReleaseLinksSection());
+    rightDiv.appendChild(buildIsrcSection());
 
     container.innerHTML = icon;
     container.appendChild(rightDiv);
+
+    showNewLinkCounts(buttons, hint);
     return container;
   }
 
+  // Once the existing MusicBrainz links are known, label every button with the
+  // number of links it would actually add.
+  function showNewLinkCounts(buttons, hint) {
+    const releaseMbid = extractReleaseMbid();
+    if (!releaseMbid || !buttons.length) return;
+
+    hint.textContent = 'Checking which links are already in MusicBrainz…';
+    loadMbRelease(releaseMbid)
+      .then(() => {
+        const { recordings, skipped } = dropLinkedUrls(extractAllRecordingData());
+        buttons.forEach(({ btn, label, services }) => {
+          const count = recordings.reduce((n, r) => n + r.urls.filter(u => services.includes(u.service)).length, 0);
+          btn.textContent = `${label} (${count} new)`;
+          if (!count) {
+            btn.disabled = true;
+            Object.assign(btn.style, { opacity: '.5', cursor: 'not-allowed' });
+          }
+        });
+        hint.textContent = 'Review and seed the links of individual services or all at once' +
+          (skipped ? ` (${skipped} link${skipped === 1 ? ' is' : 's are'} already in MusicBrainz and will be skipped)` : '');
+        return checkConsistency(recordings).then(issues => {
+          if (!issues.size) return;
+          const warning = document.createElement('span');
+          warning.textContent = ` ⚠ ${issues.size} recording${issues.size === 1 ? '' : 's'} may not match the provider track and will be excluded by default.`;
+          warning.style.color = '#a00';
+          hint.appendChild(warning);
+        });
+      })
+      .catch(e => {
+        console.error('MusicBrainz lookup error:', e);
+        hint.textContent = 'Could not check existing MusicBrainz links; the seeders may include links that already exist.';
+      });
+  }
+
+  // --- release links ---
+
+  function buildReleaseLinksSection() {
+    const section = document.createElement('div');
+    const releaseMbid = extractReleaseMbid();
+    const albumLinks = getAlbumLinks();
+    if (!releaseMbid || !albumLinks.length) return section;
+
+    section.style.marginTop = '8px';
+    const title = document.createElement('p');
+    title.innerHTML = '<strong>Release links:</strong>';
+    section.appendChild(title);
+
+    const list = document.createElement('div');
+    Object.assign(list.style, { fontSize: '12px', marginBottom: '4px' });
+    section.appendChild(list);
+
+    const seed = document.createElement('a');
+    Object.assign(seed.style, btnStyle('#28a745', true));
+    section.appendChild(seed);
+
+    const render = (lookupFailed = false) => {
+      const existing = linkedUrls?.get(releaseMbid);
+      const links = albumLinks.filter(l => !existing?.has(regionlessKey(l.url)));
+      const skipped = albumLinks.length - links.length;
+      list.innerHTML = '';
+
+      links.forEach(link => {
+        const label = document.createElement('label');
+        Object.assign(label.style, { display: 'block', wordBreak: 'break-all' });
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = link.selected;
+        box.style.marginRight = '6px';
+        box.addEventListener('change', () => { link.selected = box.checked; update(); });
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(`${getServiceInfo(link.service).name}: ${link.url} `));
+        const types = document.createElement('span');
+        types.textContent = `(${link.types.join(', ')})`;
+        types.style.color = '#666';
+        label.appendChild(types);
+        list.appendChild(label);
+      });
+
+      if (skipped || lookupFailed) {
+        const note = document.createElement('div');
+        note.textContent = skipped
+          ? `${skipped} album link${skipped === 1 ? ' is' : 's are'} already on the release and left out.`
+          : 'Could not check the links already on the release.';
+        note.style.color = '#666';
+        list.appendChild(note);
+      }
+
+      const update = () => {
+        const selected = links.filter(l => l.selected);
+        seed.textContent = `Seed ${selected.length} release link${selected.length === 1 ? '' : 's'}`;
+        if (selected.length) {
+          seed.href = buildReleaseSeederUrl(releaseMbid, selected);
+          Object.assign(seed.style, { opacity: '1', cursor: 'pointer' });
+        } else {
+          seed.removeAttribute('href');
+          Object.assign(seed.style, { opacity: '.5', cursor: 'not-allowed' });
+        }
+      };
+      update();
+    };
+
+    render();
+    loadMbRelease(releaseMbid).then(() => render(), () => render(true));
+    return section;
+  }
+
+  // --- ISRC submission ---
+
+  function buildIsrcSection() {
+    const section = document.createElement('div');
+    const releaseMbid = extractReleaseMbid();
+    const recordings = extractAllRecordingData();
+    if (!releaseMbid || !recordings.some(r => r.track.isrcs.length)) return section;
+
+    section.style.marginTop = '8px';
+    const title = document.createElement('p');
+    title.innerHTML = '<strong>ISRCs:</strong> <span style="font-size:12px;color:#666">checking which are new…</span>';
+    section.appendChild(title);
+
+    loadMbRelease(releaseMbid)
+      .then(() => checkConsistency(recordings))
+      .then(issues => {
+        const pairs = collectNewIsrcs(recordings, issues);
+        const status = title.querySelector('span');
+        if (!pairs.length) {
+          status.textContent = 'all ISRCs shown by Harmony are already in MusicBrainz.';
+          return;
+        }
+        const recordingCount = new Set(pairs.map(p => p.mbid)).size;
+        status.textContent = `${pairs.length} new ISRC${pairs.length === 1 ? '' : 's'} for ${recordingCount} recording${recordingCount === 1 ? '' : 's'}` +
+          (issues.size ? ' (recordings that may not match their provider track are left out)' : '');
+
+        const magic = document.createElement('a');
+        magic.href = buildMagicIsrcUrl(releaseMbid, pairs);
+        magic.target = '_blank';
+        magic.textContent = 'Submit via MagicISRC';
+        Object.assign(magic.style, btnStyle('#28a745', true));
+        section.appendChild(magic);
+
+        const download = document.createElement('button');
+        download.type = 'button';
+        download.textContent = 'Download list';
+        Object.assign(download.style, btnStyle('#6c757d'));
+        download.addEventListener('click', () => downloadIsrcList(releaseMbid, pairs));
+        section.appendChild(download);
+      })
+      .catch(e => {
+        console.error('ISRC check error:', e);
+        title.querySelector('span').textContent = 'could not check the ISRCs already in MusicBrainz.';
+      });
+    return section;
+  }
+
+  // Recording → ISRC pairs from the page that MusicBrainz doesn't have yet
+  function collectNewIsrcs(recordings, issues) {
+    const pairs = [];
+    for (const r of recordings) {
+      if (issues.has(r.mbid)) continue;
+      const known = mbRecordings.get(r.mbid)?.isrcs || [];
+      for (const isrc of r.track.isrcs) {
+        if (!known.includes(isrc)) pairs.push({ mbid: r.mbid, title: r.title, track: trackIndexes.get(r.mbid), isrc });
+      }
+    }
+    return pairs;
+  }
+
+  // MagicISRC takes one ISRC per track, numbered across the whole release;
+  // any further ISRCs of a track are only in the downloadable list
+  function buildMagicIsrcUrl(releaseMbid, pairs) {
+    const params = new URLSearchParams({ mbid: releaseMbid });
+    for (const pair of pairs) {
+      if (pair.track && !params.has(`isrc${pair.track}`)) params.set(`isrc${pair.track}`, pair.isrc);
+    }
+    return `https://magicisrc.kepstin.ca/?${params}`;
+  }
+
+  function downloadIsrcList(releaseMbid, pairs) {
+    const lines = ['track\trecording\tisrc\ttitle', ...pairs.map(p => [p.track || '', p.mbid, p.isrc, p.title].join('\t'))];
+    downloadFile(`isrcs-${releaseMbid}.tsv`, lines.join('\n') + '\n', 'text/tab-separated-values');
+  }
+
+  function downloadFile(name, content, type) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([content], { type }));
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  // --- payload files ---
+  // A payload file holds exactly the seed-urls-v1 JSON of one seeder link; the
+  // release MBID travels in the file name (and the default edit note).
+
+  function buildPayloadDownloadButton(text, releaseMbid, seederData, suffix) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    Object.assign(btn.style, btnStyle('#6c757d'));
+    btn.addEventListener('click', () => {
+      downloadFile(`seed-urls-${releaseMbid}${suffix}.json`, JSON.stringify(seederData, null, 2), 'application/json');
+    });
+    return btn;
+  }
+
+  function buildPayloadLoadButton(loadedLinks) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.style.display = 'none';
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Load payload';
+    btn.title = 'Open a downloaded seeder payload as a seeder link again';
+    Object.assign(btn.style, btnStyle('#6c757d'));
+    btn.addEventListener('click', () => input.click());
+
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+      try {
+        const seederData = JSON.parse(await file.text());
+        if (![1, 2].includes(seederData?.version) || typeof seederData.recordings !== 'object') {
+          throw new Error('not a seed-urls-v1 payload');
+        }
+        const releaseMbid = releaseMbidFromPayload(file.name, seederData);
+        if (!releaseMbid) {
+          throw new Error('could not tell which release it belongs to; keep the release MBID in the file name (seed-urls-<release MBID>.json)');
+        }
+
+        const count = Object.keys(seederData.recordings).length;
+        const a = document.createElement('a');
+        a.href = buildSeederUrl(releaseMbid, seederData);
+        a.target = '_blank';
+        a.textContent = `Seed ${file.name} (${count} recording${count === 1 ? '' : 's'})`;
+        Object.assign(a.style, btnStyle('#28a745', true));
+        loadedLinks.appendChild(a);
+      } catch (e) {
+        alert(`Could not load ${file.name}: ${e.message}`);
+      }
+    });
+
+    const span = document.createElement('span');
+    span.appendChild(btn);
+    span.appendChild(input);
+    return span;
+  }
+
+  // The release only comes from the file itself (its name, or the release URL in the
+  // edit note), never from the current page: a payload seeded onto the wrong release
+  // would link the recordings of another release.
+  function releaseMbidFromPayload(fileName, seederData) {
+    const mbidRe = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+    const fromNote = String(seederData.note || '').match(/musicbrainz\.org\/release\/([0-9a-f-]{36})/i);
+    return fileName.match(mbidRe)?.[0] || fromNote?.[1] || null;
+  }
+
+  // Album URLs from Harmony's provider list, with the release link types of their provider
+  function getAlbumLinks() {
+    const seen = new Set();
+    return providers
+      .filter(p => p.harmony)
+      .map(p => ({ service: p.id, url: getAlbumUrlForService(p.id), types: p.linkTypes || ['streaming'], selected: true }))
+      .filter(l => l.url && !seen.has(regionlessKey(l.url)) && seen.add(regionlessKey(l.url)));
+  }
+
+  function buildReleaseSeederUrl(releaseMbid, links) {
+    const params = new URLSearchParams();
+    let i = 0;
+    for (const link of links) {
+      for (const type of link.types) {
+        params.append(`urls.${i}.url`, link.url);
+        params.append(`urls.${i}.link_type`, releaseLinkTypeIds[type]);
+        i++;
+      }
+    }
+    params.append('edit_note', `Release links from Harmony: ${window.location.href}`);
+    return `https://musicbrainz.org/release/${releaseMbid}/edit?${params}`;
+  }
+
   function btnStyle(bg, bold = false) {
     return {
       background: bg, color: 'white', padding: '6px 12px', border: 'none',
@@ -166,67 +613,699 @@
     };
   }
 
-  // --- data extraction ---
+  // --- review dialog ---
 
-  function getAvailableServices() {
-    const services = new Set();
-    // Each "action" block contains <span class="entity-links"> with provider anchors
-    document.querySelectorAll('.action .entity-links a[href]').forEach(a => {
-      const s = getServiceFromUrl(a.href);
-      if (s !== 'unknown') services.add(s);
+  async function openReviewDialog(services) {
+    const releaseMbid = extractReleaseMbid();
+    if (!releaseMbid) {
+      alert('No MusicBrainz release found on this page.');
+      return;
+    }
+
+    try {
+      await loadMbRelease(releaseMbid);
+    } catch (e) {
+      console.error('MusicBrainz lookup error:', e);
+    }
+    const { recordings, skipped } = dropLinkedUrls(extractAllRecordingData(), services);
+    // Without the release data every recording would need its own lookup, so skip the check then
+    const issues = linkedUrls ? await checkConsistency(recordings) : new Map();
+
+    // Working copy of the page data: consistent recordings start selected, types are editable
+    const rows = recordings
+      .map(r => ({
+        ...r,
+        issues: issues.get(r.mbid) || [],
+        selected: !issues.has(r.mbid),
+        urls: r.urls.map(u => ({ ...u, types: [...u.types], selected: true })),
+      }));
+
+    const overlay = document.createElement('div');
+    Object.assign(overlay.style, { position: 'fixed', inset: 0, background: 'rgba(0,0,0,.5)', zIndex: 9999 });
+
+    const dialog = document.createElement('div');
+    Object.assign(dialog.style, {
+      position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)',
+      zIndex: 10000, background: '#fff', padding: '20px', borderRadius: '8px',
+      boxShadow: '0 4px 8px rgba(0,0,0,.2)', width: '720px', maxWidth: '95vw', maxHeight: '85vh',
+      display: 'flex', flexDirection: 'column', fontFamily: 'inherit', fontSize: '13px',
     });
-    return Array.from(services);
+
+    const close = () => { dialog.remove(); overlay.remove(); };
+    overlay.addEventListener('click', close);
+
+    const h = document.createElement('h3');
+    h.textContent = services.length === 1
+      ? `Review ${getServiceInfo(services[0]).name} links`
+      : 'Review links of all services';
+    h.style.marginTop = '0';
+    dialog.appendChild(h);
+
+    if (issues.size) {
+      const warning = document.createElement('p');
+      warning.textContent = `${issues.size} recording${issues.size === 1 ? ' does' : 's do'} not match the provider track and ${issues.size === 1 ? 'is' : 'are'} unchecked; check them before seeding.`;
+      Object.assign(warning.style, { margin: '0 0 10px', color: '#a00' });
+      dialog.appendChild(warning);
+    }
+
+    if (skipped || !linkedUrls) {
+      const note = document.createElement('p');
+      note.textContent = linkedUrls
+        ? `${skipped} URL${skipped === 1 ? ' is' : 's are'} already linked in MusicBrainz and left out.`
+        : 'Could not check existing MusicBrainz links; some of these may already exist.';
+      Object.assign(note.style, { margin: '0 0 10px', color: linkedUrls ? '#666' : '#a00' });
+      dialog.appendChild(note);
+    }
+
+    const list = document.createElement('div');
+    Object.assign(list.style, { overflowY: 'auto', border: '1px solid #eee', padding: '10px', marginBottom: '15px' });
+    rows.forEach((row, i) => list.appendChild(buildReviewRow(row, i, refresh)));
+    dialog.appendChild(list);
+
+    const actions = document.createElement('div');
+    Object.assign(actions.style, { display: 'flex', justifyContent: 'space-between', alignItems: 'center' });
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    Object.assign(cancel.style, btnStyle('#6c757d'));
+    cancel.addEventListener('click', close);
+
+    const seedLinks = document.createElement('div');
+    Object.assign(seedLinks.style, { textAlign: 'right' });
+
+    actions.appendChild(cancel);
+    actions.appendChild(seedLinks);
+    dialog.appendChild(buildBatchingControls(refresh));
+    dialog.appendChild(actions);
+
+    function refresh() {
+      const selected = getSelectedRecordings(rows);
+      const linkCount = selected.reduce((n, r) => n + r.urls.length, 0);
+      const batches = linkCount ? buildSeederBatches(releaseMbid, services, selected) : [];
+      seedLinks.innerHTML = '';
+
+      if (batches.length <= 1) {
+        const seed = document.createElement('a');
+        Object.assign(seed.style, btnStyle('#28a745', true));
+        seed.textContent = `Seed ${linkCount} link${linkCount === 1 ? '' : 's'} for ${selected.length} recording${selected.length === 1 ? '' : 's'}`;
+        if (batches.length) {
+          seed.href = batches[0].url;
+        } else {
+          Object.assign(seed.style, { opacity: '.5', cursor: 'not-allowed' });
+        }
+        seedLinks.appendChild(seed);
+        if (batches.length) {
+          seedLinks.appendChild(buildPayloadDownloadButton('Download payload', releaseMbid, batches[0].data, ''));
+        }
+        return;
+      }
+
+      batches.forEach((batch, i) => {
+        const seed = document.createElement('a');
+        Object.assign(seed.style, btnStyle('#28a745', true));
+        seed.href = batch.url;
+        seed.target = '_blank';
+        seed.textContent = `Batch ${i + 1} of ${batches.length} (${batch.linkCount} link${batch.linkCount === 1 ? '' : 's'})`;
+        // Mark opened batches so the remaining ones are easy to spot
+        seed.addEventListener('click', () => { seed.style.background = '#6c757d'; });
+        seedLinks.appendChild(seed);
+        const download = buildPayloadDownloadButton('⬇', releaseMbid, batch.data, `-batch-${i + 1}-of-${batches.length}`);
+        download.title = `Download the payload of batch ${i + 1}`;
+        seedLinks.appendChild(download);
+      });
+    }
+    refresh();
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
   }
 
-  function getServiceInfo(service) {
-    return serviceMap[service] || { name: service, color: '#007bff' };
+  function buildReviewRow(row, index, onChange) {
+    const block = document.createElement('div');
+    Object.assign(block.style, { padding: '6px 0', borderBottom: '1px solid #f0f0f0' });
+
+    const head = document.createElement('label');
+    Object.assign(head.style, { display: 'block', fontWeight: '700' });
+    const recBox = document.createElement('input');
+    recBox.type = 'checkbox';
+    recBox.checked = row.selected;
+    recBox.style.marginRight = '6px';
+    head.appendChild(recBox);
+    head.appendChild(document.createTextNode(`${index + 1}. ${row.title || row.mbid} `));
+    const recLink = document.createElement('a');
+    recLink.href = `https://musicbrainz.org/recording/${row.mbid}`;
+    recLink.target = '_blank';
+    recLink.textContent = row.mbid.slice(0, 8);
+    Object.assign(recLink.style, { fontWeight: '400', fontSize: '11px' });
+    head.appendChild(recLink);
+    block.appendChild(head);
+
+    if (row.issues.length) {
+      const warning = document.createElement('div');
+      warning.textContent = `⚠ Possible mismatch: ${row.issues.join('; ')}`;
+      Object.assign(warning.style, { marginLeft: '22px', color: '#a00', fontSize: '12px' });
+      block.appendChild(warning);
+    }
+
+    const urlList = document.createElement('div');
+    urlList.style.marginLeft = '22px';
+    row.urls.forEach(u => urlList.appendChild(buildReviewUrl(u, onChange)));
+    block.appendChild(urlList);
+
+    const sync = () => {
+      urlList.style.opacity = row.selected ? '1' : '.4';
+      urlList.querySelectorAll('input').forEach(input => { input.disabled = !row.selected; });
+    };
+    recBox.addEventListener('change', () => {
+      row.selected = recBox.checked;
+      sync();
+      onChange();
+    });
+    sync();
+    return block;
   }
 
-  function getServiceFromUrl(url) {
-    if (url.includes('open.spotify.com/track/')) return 'spotify';
-    if (url.includes('www.deezer.com/track/')) return 'deezer';
-    if (url.includes('music.apple.com/')) return 'itunes';
-    if (url.includes('tidal.com/track/')) return 'tidal';
-    if (url.includes('bandcamp.com/track/')) return 'bandcamp';
-    if (url.includes('beatport.com/track/')) return 'beatport';
-    if (url.includes('open.qobuz.com/track/')) return 'qobuz';
-    if (url.includes('music.bugs.co.kr/track/' )) return 'bugs';
-    if (url.includes('melon.com/song/' )) return 'melon';
-    if (url.includes('genie.co.kr/detail/songInfo' )) return 'genie';
-    if (url.includes('vibe.naver.com/track/' )) return 'vibe';
-    return 'unknown';
-  }
-
-  function generateSeederUrl(targetService) {
-    try {
-      const recordings = extractRecordingDataForService(targetService);
-      if (recordings.length === 0) return null;
+  function buildReviewUrl(u, onChange) {
+    const line = document.createElement('div');
+    line.style.margin = '3px 0';
 
-      const releaseMbid = extractReleaseMbid();
-      if (!releaseMbid) return null;
+    const label = document.createElement('label');
+    label.style.wordBreak = 'break-all';
+    const urlBox = document.createElement('input');
+    urlBox.type = 'checkbox';
+    urlBox.checked = u.selected;
+    urlBox.style.marginRight = '6px';
+    urlBox.addEventListener('change', () => { u.selected = urlBox.checked; onChange(); });
+    label.appendChild(urlBox);
 
-      const seederData = buildSeederData(releaseMbid, recordings, targetService);
-      return buildSeederUrl(releaseMbid, seederData);
-    } catch (e) {
-      console.error('Seeder error:', e);
-      return null;
+    const info = getServiceInfo(u.service);
+    const badge = document.createElement('span');
+    badge.textContent = info.name;
+    Object.assign(badge.style, {
+      background: info.color, color: 'white', borderRadius: '3px', padding: '0 5px',
+      marginRight: '6px', fontSize: '11px',
+    });
+    label.appendChild(badge);
+    label.appendChild(document.createTextNode(u.url));
+    line.appendChild(label);
+
+    // Link types: the ones Harmony suggested are pre-checked, the usual alternatives can be added
+    const types = document.createElement('div');
+    Object.assign(types.style, { marginLeft: '22px', fontSize: '12px', color: '#555' });
+    const options = [...new Set([...u.types, ...recordingUrlTypes])];
+    options.forEach(type => {
+      const typeLabel = document.createElement('label');
+      typeLabel.style.marginRight = '10px';
+      const typeBox = document.createElement('input');
+      typeBox.type = 'checkbox';
+      typeBox.checked = u.types.includes(type);
+      typeBox.style.marginRight = '3px';
+      typeBox.addEventListener('change', () => {
+        u.types = options.filter((t, i) => types.querySelectorAll('input')[i].checked);
+        onChange();
+      });
+      typeLabel.appendChild(typeBox);
+      typeLabel.appendChild(document.createTextNode(type));
+      types.appendChild(typeLabel);
+    });
+    line.appendChild(types);
+
+    if (u.unknownTypes.length) {
+      const warning = document.createElement('div');
+      warning.textContent = `⚠ Unknown link type ID${u.unknownTypes.length === 1 ? '' : 's'} ${u.unknownTypes.join(', ')} from Harmony; pick the type to seed above.`;
+      Object.assign(warning.style, { marginLeft: '22px', color: '#a00', fontSize: '12px' });
+      line.appendChild(warning);
     }
+    return line;
   }
 
-  function generateAllServicesSeeder() {
-    try {
-      const recordings = extractAllRecordingData();
-      if (recordings.length === 0) return null;
+  function getSelectedRecordings(rows) {
+    return rows
+      .filter(r => r.selected)
+      .map(r => ({ mbid: r.mbid, urls: r.urls.filter(u => u.selected && u.types.length) }))
+      .filter(r => r.urls.length);
+  }
+
+  function buildSelectedSeederData(releaseMbid, services, recordings, batch = null) {
+    // A single service keeps the one-URL-per-recording payload (version 1) where it can,
+    // and its own edit note even when a recording has several URLs of that service
+    const service = services.length === 1 ? services[0] : null;
+    const single = service && recordings.every(r => r.urls.length === 1);
+    const seederData = single
+      ? buildSeederData(releaseMbid, recordings.map(r => ({ mbid: r.mbid, url: r.urls[0].url, types: r.urls[0].types })), service)
+      : buildAllServicesSeederData(releaseMbid, recordings, service);
+    if (batch) seederData.note += `\nBatch ${batch.index} of ${batch.total}`;
+    return seederData;
+  }
+
+  // --- batching ---
+
+  // Splits the selection into seeder links according to the batching settings
+  function buildSeederBatches(releaseMbid, services, recordings) {
+    let chunks;
+    if (batching.mode === 'recordings') {
+      const size = Math.max(1, batching.recordings);
+      chunks = [];
+      for (let i = 0; i < recordings.length; i += size) chunks.push(recordings.slice(i, i + size));
+    } else if (batching.mode === 'length') {
+      // Grow each batch until its URL (with a worst-case batch note) would get too long
+      const probe = { index: recordings.length, total: recordings.length };
+      chunks = [[]];
+      for (const r of recordings) {
+        const current = chunks[chunks.length - 1];
+        const candidate = [...current, r];
+        if (current.length && buildSeederUrl(releaseMbid, buildSelectedSeederData(releaseMbid, services, candidate, probe)).length > batching.urlLength) {
+          chunks.push([r]);
+        } else {
+          chunks[chunks.length - 1] = candidate;
+        }
+      }
+    } else {
+      chunks = [recordings];
+    }
+
+    return chunks.map((chunk, i) => {
+      const data = buildSelectedSeederData(releaseMbid, services, chunk, chunks.length > 1 ? { index: i + 1, total: chunks.length } : null);
+      return { data, url: buildSeederUrl(releaseMbid, data), linkCount: chunk.reduce((n, r) => n + r.urls.length, 0) };
+    });
+  }
+
+  function buildBatchingControls(onChange) {
+    const line = document.createElement('div');
+    Object.assign(line.style, { marginBottom: '10px', fontSize: '12px', color: '#555' });
+
+    const mode = document.createElement('select');
+    [['none', 'one seeder link'], ['recordings', 'batches of N recordings'], ['length', 'batches of at most N URL characters']]
+      .forEach(([value, text]) => mode.appendChild(new Option(text, value, false, batching.mode === value)));
+
+    const size = document.createElement('input');
+    size.type = 'number';
+    size.min = '1';
+    size.style.width = '70px';
+    size.style.marginLeft = '6px';
+
+    const sync = () => {
+      size.style.display = batching.mode === 'none' ? 'none' : '';
+      size.value = batching.mode === 'length' ? batching.urlLength : batching.recordings;
+    };
+    mode.addEventListener('change', () => {
+      batching.mode = mode.value;
+      sync();
+      GM_setValue(BATCHING_KEY, batching);
+      onChange();
+    });
+    size.addEventListener('change', () => {
+      const n = parseInt(size.value, 10);
+      if (!(n > 0)) return;
+      if (batching.mode === 'length') batching.urlLength = n; else batching.recordings = n;
+      GM_setValue(BATCHING_KEY, batching);
+      onChange();
+    });
+    sync();
+
+    line.appendChild(document.createTextNode('Seed as '));
+    line.appendChild(mode);
+    line.appendChild(size);
+    return line;
+  }
+
+  // --- custom providers ---
+
+  function loadCustomProviders() {
+    const stored = GM_getValue(CUSTOM_PROVIDERS_KEY, []);
+    return stored.flatMap(p => {
+      try {
+        return [{ id: `custom-${p.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, ...p, match: new RegExp(p.pattern) }];
+      } catch (e) {
+        console.warn(`Ignoring custom provider "${p.name}" with invalid pattern:`, e);
+        return [];
+      }
+    });
+  }
+
+  function showSettings() {
+    const overlay = document.createElement('div');
+    Object.assign(overlay.style, { position: 'fixed', inset: 0, background: 'rgba(0,0,0,.5)', zIndex: 9999 });
+
+    const dialog = document.createElement('div');
+    Object.assign(dialog.style, {
+      position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)',
+      zIndex: 10000, background: '#fff', padding: '20px', borderRadius: '8px',
+      boxShadow: '0 4px 8px rgba(0,0,0,.2)', width: '640px', maxWidth: '95vw', maxHeight: '85vh',
+      overflowY: 'auto', fontFamily: 'inherit', fontSize: '13px',
+    });
+    const close = () => { dialog.remove(); overlay.remove(); };
+    overlay.addEventListener('click', close);
+
+    const h = document.createElement('h3');
+    h.textContent = 'Seeder settings';
+    h.style.marginTop = '0';
+    dialog.appendChild(h);
+
+    const providersHeading = document.createElement('h4');
+    providersHeading.textContent = 'Custom providers';
+    providersHeading.style.margin = '0 0 5px';
+    dialog.appendChild(providersHeading);
+
+    const help = document.createElement('p');
+    help.textContent = 'URL pattern is a regular expression matched against recording links on the Harmony page; ' +
+      'Harmony name is the provider name Harmony shows for album links. Built-in providers: ' +
+      builtinProviders.map(p => p.name).join(', ') + '.';
+    Object.assign(help.style, { margin: '0 0 10px', color: '#666', fontSize: '12px' });
+    dialog.appendChild(help);
+
+    const list = document.createElement('div');
+    dialog.appendChild(list);
+    GM_getValue(CUSTOM_PROVIDERS_KEY, []).forEach(p => list.appendChild(buildProviderRow(p)));
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.textContent = '+ Add provider';
+    Object.assign(add.style, btnStyle('#007bff'));
+    add.addEventListener('click', () => list.appendChild(buildProviderRow({ name: '', pattern: '', color: '#007bff', harmony: '' })));
+    dialog.appendChild(add);
+
+    const templatesHeading = document.createElement('h4');
+    templatesHeading.textContent = 'Edit note templates';
+    templatesHeading.style.margin = '15px 0 5px';
+    dialog.appendChild(templatesHeading);
+
+    const placeholderHelp = document.createElement('ul');
+    Object.assign(placeholderHelp.style, { margin: '0 0 10px', paddingLeft: '18px', color: '#666', fontSize: '12px' });
+    Object.entries(notePlaceholders).forEach(([name, description]) => {
+      const li = document.createElement('li');
+      li.textContent = `{${name}}: ${description}`;
+      placeholderHelp.appendChild(li);
+    });
+    dialog.appendChild(placeholderHelp);
+
+    const templateInputs = {};
+    [['single', 'Single service'], ['all', 'All Services']].forEach(([key, label]) => {
+      const labelEl = document.createElement('label');
+      Object.assign(labelEl.style, { display: 'block', fontWeight: '700', marginTop: '6px' });
+      labelEl.textContent = label;
+      const textarea = document.createElement('textarea');
+      textarea.value = noteTemplates[key];
+      textarea.rows = 4;
+      Object.assign(textarea.style, { display: 'block', width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '12px', fontWeight: '400' });
+      labelEl.appendChild(textarea);
+      dialog.appendChild(labelEl);
+      templateInputs[key] = textarea;
+    });
+
+    const resetTemplates = document.createElement('button');
+    resetTemplates.type = 'button';
+    resetTemplates.textContent = 'Reset templates';
+    Object.assign(resetTemplates.style, btnStyle('#6c757d'), { marginTop: '6px' });
+    resetTemplates.addEventListener('click', () => {
+      Object.keys(templateInputs).forEach(key => { templateInputs[key].value = defaultNoteTemplates[key]; });
+    });
+    dialog.appendChild(resetTemplates);
+
+    const actions = document.createElement('div');
+    Object.assign(actions.style, { display: 'flex', justifyContent: 'space-between', marginTop: '15px' });
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    Object.assign(cancel.style, btnStyle('#6c757d'));
+    cancel.addEventListener('click', close);
+
+    const save = document.createElement('button');
+    save.type = 'button';
+    save.textContent = 'Save';
+    Object.assign(save.style, btnStyle('#28a745', true));
+    save.addEventListener('click', () => {
+      const entries = Array.from(list.children).map(row => ({
+        name: row.querySelector('[name=name]').value.trim(),
+        pattern: row.querySelector('[name=pattern]').value.trim(),
+        color: row.querySelector('[name=color]').value,
+        harmony: row.querySelector('[name=harmony]').value.trim(),
+      })).filter(p => p.name && p.pattern);
+
+      for (const p of entries) {
+        try {
+          new RegExp(p.pattern);
+        } catch (e) {
+          alert(`Invalid URL pattern for "${p.name}": ${e.message}`);
+          return;
+        }
+      }
+      GM_setValue(CUSTOM_PROVIDERS_KEY, entries);
+      GM_setValue(NOTE_TEMPLATES_KEY, {
+        single: templateInputs.single.value,
+        all: templateInputs.all.value,
+      });
+      close();
+      location.reload();
+    });
+
+    actions.appendChild(cancel);
+    actions.appendChild(save);
+    dialog.appendChild(actions);
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
+  }
+
+  function buildProviderRow(provider) {
+    const row = document.createElement('div');
+    Object.assign(row.style, { display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' });
+
+    const field = (name, placeholder, value, width) => {
+      const input = document.createElement('input');
+      input.name = name;
+      input.placeholder = placeholder;
+      input.value = value || '';
+      Object.assign(input.style, { width, padding: '3px 5px', fontSize: '12px' });
+      row.appendChild(input);
+    };
+    field('name', 'Name', provider.name, '110px');
+    field('pattern', 'URL pattern, e.g. example\\.com/track/', provider.pattern, '220px');
+    field('harmony', 'Harmony name', provider.harmony, '110px');
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.name = 'color';
+    color.value = provider.color || '#007bff';
+    row.appendChild(color);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    Object.assign(remove.style, btnStyle('#dc3545'));
+    remove.addEventListener('click', () => row.remove());
+    row.appendChild(remove);
+    return row;
+  }
+
+  // --- existing MusicBrainz links ---
+
+  function loadMbRelease(releaseMbid) {
+    if (!mbReleasePromise) {
+      mbReleasePromise = fetchMbRelease(releaseMbid)
+        .then(release => {
+          // Recording and release MBIDs can't collide, so both share one map
+          const map = new Map([[release.id, new Set((release.relations || []).filter(rel => rel.url).map(rel => regionlessKey(rel.url.resource)))]]);
+          let index = 0;
+          (release.media || []).forEach((medium, i) => { mbMediumSizes[i] = (medium.tracks || []).length; });
+          for (const medium of release.media || []) {
+            for (const track of medium.tracks || []) {
+              const rec = track.recording;
+              index++;
+              if (!rec) continue;
+              if (!trackIndexes.has(rec.id)) trackIndexes.set(rec.id, index);
+              mbTracklist[index - 1] = { id: rec.id, title: rec.title };
+              const urls = map.get(rec.id) || new Set();
+              for (const rel of rec.relations || []) {
+                if (rel.url?.resource) urls.add(regionlessKey(rel.url.resource));
+              }
+              map.set(rec.id, urls);
+              mbRecordings.set(rec.id, toRecordingInfo(rec));
+            }
+          }
+          linkedUrls = map;
+          return map;
+        })
+        .catch(e => {
+          mbReleasePromise = null; // allow a retry on the next attempt
+          throw e;
+        });
+    }
+    return mbReleasePromise;
+  }
 
-      const releaseMbid = extractReleaseMbid();
-      if (!releaseMbid) return null;
+  function fetchMbRelease(releaseMbid) {
+    const url = `https://musicbrainz.org/ws/2/release/${releaseMbid}?inc=recordings+url-rels+recording-level-rels+isrcs&fmt=json`;
+    return fetch(url).then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    });
+  }
+
+  function fetchMbRecording(recordingMbid) {
+    const url = `https://musicbrainz.org/ws/2/recording/${recordingMbid}?inc=isrcs&fmt=json`;
+    return fetch(url).then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    });
+  }
+
+  // Looks up a recording outside the matched release once, however many callers
+  // ask for it; lookups run one after another, a second apart. Resolves to null
+  // on failure, and a failed lookup is tried again on the next call.
+  function lookupMbRecording(recordingMbid) {
+    if (!recordingLookups.has(recordingMbid)) {
+      const lookup = recordingQueue
+        .then(() => new Promise(resolve => setTimeout(resolve, 1000)))
+        .then(() => fetchMbRecording(recordingMbid))
+        .then(rec => {
+          const info = toRecordingInfo(rec);
+          mbRecordings.set(recordingMbid, info);
+          return info;
+        })
+        .catch(e => {
+          console.error(`Recording lookup error (${recordingMbid}):`, e);
+          recordingLookups.delete(recordingMbid);
+          return null;
+        });
+      recordingLookups.set(recordingMbid, lookup);
+      recordingQueue = lookup;
+    }
+    return recordingLookups.get(recordingMbid);
+  }
+
+  function toRecordingInfo(rec) {
+    return { title: rec.title, length: rec.length, isrcs: rec.isrcs || [] };
+  }
+
+  // --- consistency check ---
+
+  // Compares what Harmony shows for each provider track with the recording it is
+  // matched to. Returns recording MBID → list of problems for inconsistent ones.
+  async function checkConsistency(recordings) {
+    const issues = new Map();
+    for (const r of recordings) {
+      // Not on the matched release (which is suspicious in itself), so look it up directly
+      const mb = mbRecordings.get(r.mbid) || await lookupMbRecording(r.mbid);
+      if (!mb) continue;
+      const found = compareTrack(r.track, mb);
+      if (found.length) issues.set(r.mbid, found);
+    }
+    return issues;
+  }
+
+  function compareTrack(track, mb) {
+    const found = [];
+    if (track.title && mb.title) {
+      const a = normalizeTitle(track.title);
+      const b = normalizeTitle(mb.title);
+      if (a && b && !a.includes(b) && !b.includes(a)) {
+        found.push(`title “${track.title}” vs. recording “${mb.title}”`);
+      }
+    }
+    if (track.length && mb.length && Math.abs(track.length - mb.length) > LENGTH_TOLERANCE_MS) {
+      found.push(`length ${formatLength(track.length)} vs. recording ${formatLength(mb.length)}`);
+    }
+    if (track.isrcs.length && mb.isrcs.length && !track.isrcs.some(isrc => mb.isrcs.includes(isrc))) {
+      found.push(`ISRC ${track.isrcs.join(', ')} vs. recording ${mb.isrcs.join(', ')}`);
+    }
+    return found;
+  }
+
+  function normalizeTitle(title) {
+    return title.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  function formatLength(ms) {
+    const secs = Math.round(ms / 1000);
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+  }
+
+  // Drops URLs already linked to their recording (and, if given, URLs of other services)
+  function dropLinkedUrls(recordings, services = null) {
+    let skipped = 0;
+    const kept = recordings
+      .map(r => {
+        const existing = linkedUrls?.get(r.mbid);
+        const urls = r.urls.filter(u => {
+          if (services && !services.includes(u.service)) return false;
+          if (existing?.has(regionlessKey(u.url))) { skipped++; return false; }
+          return true;
+        });
+        return { ...r, urls };
+      })
+      .filter(r => r.urls.length);
+    return { recordings: kept, skipped };
+  }
 
-      const seederData = buildAllServicesSeederData(releaseMbid, recordings);
-      return buildSeederUrl(releaseMbid, seederData);
+  function urlKey(url) {
+    return url.trim().replace(/^http:/i, 'https:').replace(/\/+$/, '').toLowerCase();
+  }
+
+  // --- URL normalization ---
+
+  function normalizeUrl(url, service = getServiceFromUrl(url)) {
+    try {
+      return (urlNormalizers[service] || stripTracking)(url);
     } catch (e) {
-      console.error('Seeder(all) error:', e);
-      return null;
+      console.warn(`Could not normalize ${url}:`, e);
+      return url;
+    }
+  }
+
+  // Parses the URL over https, keeping only the listed query parameters and no fragment
+  function cleanUrl(url, keepParams) {
+    const u = new URL(url);
+    u.protocol = 'https:';
+    u.hash = '';
+    for (const key of [...u.searchParams.keys()]) {
+      if (!keepParams.includes(key)) u.searchParams.delete(key);
+    }
+    u.pathname = u.pathname.replace(/\/+$/, '') || '/';
+    return u;
+  }
+
+  function stripTracking(url) {
+    const u = new URL(url);
+    u.hash = '';
+    for (const key of [...u.searchParams.keys()]) {
+      if (/^(?:utm_|si$|fbclid$|gclid$|ref$|feature$|app$|context$)/.test(key)) u.searchParams.delete(key);
     }
+    return u.href;
+  }
+
+  // Identifies a URL regardless of the storefront region it points into,
+  // so regional variants of the same track collapse into one link
+  function regionlessKey(url) {
+    return urlKey(url)
+      .replace(/^(https:\/\/music\.apple\.com)\/[a-z]{2}\//, '$1/')
+      .replace(/^https:\/\/music\.amazon\.[a-z.]+\//, 'https://music.amazon/')
+      .replace(/^(https:\/\/www\.kkbox\.com)\/[a-z]{2}\/[a-z]{2}\//, '$1/');
+  }
+
+  // --- data extraction ---
+
+  function getAvailableServices() {
+    const services = new Set();
+    // Each "action" block contains <span class="entity-links"> with provider anchors;
+    // on the lookup page they sit in the track table rows
+    const selector = isActionsPage() ? '.action .entity-links a[href]' : `${LOOKUP_TRACK_ROWS} a[href]`;
+    document.querySelectorAll(selector).forEach(a => {
+      const s = getServiceFromUrl(a.href);
+      if (s !== 'unknown') services.add(s);
+    });
+    return Array.from(services);
+  }
+
+  function getServiceInfo(service) {
+    return providers.find(p => p.id === service) || { name: service, color: '#007bff' };
+  }
+
+  function getServiceFromUrl(url) {
+    return providers.find(p => p.match.test(url))?.id || 'unknown';
   }
 
   function extractReleaseMbid() {
@@ -236,7 +1315,9 @@
     return m ? m[1] : null;
   }
 
-  function extractRecordingDataForService(targetService) {
+  function extractAllRecordingData() {
+    if (!isActionsPage()) return extractLookupRecordingData();
+
     const list = [];
     document.querySelectorAll('.action').forEach(action => {
       const entityLinks = action.querySelector('.entity-links');
@@ -246,77 +1327,174 @@
       const recMbid = mbRecLink?.href.match(/musicbrainz\.org\/recording\/([a-f0-9-]+)/)?.[1];
       if (!recMbid) return;
 
-      const svcAnchor = Array.from(entityLinks.querySelectorAll('a[href]')).find(a => getServiceFromUrl(a.href) === targetService);
-      if (!svcAnchor) return;
+      const title = mbRecLink.textContent.trim();
+      const track = extractTrackInfo(action, title);
+      const urls = [];
+      const byKey = new Map();
+      entityLinks.querySelectorAll('a[href]').forEach(a => {
+        const svc = getServiceFromUrl(a.href);
+        if (svc === 'unknown') return;
+
+        const { types, unknownTypes } = extractRelationshipTypesFromAction(action, a.href);
+        if (!types.length && !unknownTypes.length) return;
 
-      const types = extractRelationshipTypesFromAction(action, svcAnchor.href);
-      if (types.length === 0) return;
+        // Links that normalize to the same track (other region, tracking parameters) become one
+        const url = normalizeUrl(a.href, svc);
+        const existing = byKey.get(regionlessKey(url));
+        if (existing) {
+          existing.types = [...new Set([...existing.types, ...types])];
+          existing.unknownTypes = [...new Set([...existing.unknownTypes, ...unknownTypes])];
+          return;
+        }
+        const entry = { url, types, unknownTypes, service: svc };
+        byKey.set(regionlessKey(url), entry);
+        urls.push(entry);
+      });
 
-      list.push({ mbid: recMbid, url: svcAnchor.href, types });
+      if (urls.length) list.push({ mbid: recMbid, title, track, urls });
     });
     return list;
   }
 
-  function extractAllRecordingData() {
+  // Lookup page: the n-th track row belongs to the n-th recording of the matched
+  // MusicBrainz release, which is only safe when each of Harmony's tracklists (one
+  // per medium) has as many tracks as its MusicBrainz medium. Harmony suggests no
+  // link types here, so each provider's default types are used (they can still be
+  // changed in the review dialog). The title is read from the table's Title column,
+  // duration and ISRC from the row's text, and all three are checked.
+  function extractLookupRecordingData() {
     const list = [];
-    document.querySelectorAll('.action').forEach(action => {
-      const entityLinks = action.querySelector('.entity-links');
-      if (!entityLinks) return;
+    const tracklists = getLookupTracklists();
+    if (lookupTracklistProblem(tracklists)) return list;
 
-      const mbRecLink = entityLinks.querySelector('a[href*="musicbrainz.org/recording/"]');
-      const recMbid = mbRecLink?.href.match(/musicbrainz\.org\/recording\/([a-f0-9-]+)/)?.[1];
-      if (!recMbid) return;
+    const rows = tracklists.flatMap(t => t.rows.map(row => ({ row, titleIndex: t.titleIndex })));
+    rows.forEach(({ row, titleIndex }, i) => {
+      const recording = mbTracklist[i];
+      if (!recording) return;
 
+      const track = extractTrackInfo(row, null);
+      const titleCell = titleIndex >= 0 ? row.cells[titleIndex] : null;
+      if (titleCell?.textContent.trim()) track.title = titleCell.textContent.trim();
       const urls = [];
-      entityLinks.querySelectorAll('a[href]').forEach(a => {
+      const seen = new Set();
+      row.querySelectorAll('a[href]').forEach(a => {
         const svc = getServiceFromUrl(a.href);
         if (svc === 'unknown') return;
-
-        const types = extractRelationshipTypesFromAction(action, a.href);
-        if (types.length) urls.push({ url: a.href, types, service: svc });
+        const url = normalizeUrl(a.href, svc);
+        if (seen.has(regionlessKey(url))) return;
+        seen.add(regionlessKey(url));
+        urls.push({ url, types: [...(getServiceInfo(svc).linkTypes || ['streaming'])], unknownTypes: [], service: svc });
       });
 
-      if (urls.length) list.push({ mbid: recMbid, urls });
+      if (urls.length) list.push({ mbid: recording.id, title: recording.title, track, urls });
     });
     return list;
   }
 
+  // Harmony's track tables with their track rows and the column holding the title
+  function getLookupTracklists() {
+    const tables = [...new Set([...document.querySelectorAll(LOOKUP_TRACK_ROWS)].map(row => row.closest('table')))];
+    return tables.map(table => {
+      const header = [...table.rows].find(row => !row.querySelector('td'));
+      const titleIndex = header ? [...header.cells].findIndex(cell => /^\s*title\s*$/i.test(cell.textContent)) : -1;
+      return { rows: [...table.rows].filter(row => row.querySelector('td')), titleIndex };
+    });
+  }
+
+  // Describes how Harmony's tracklists differ from the MusicBrainz media, or returns null
+  function lookupTracklistProblem(tracklists) {
+    const harmonySizes = tracklists.map(t => t.rows.length);
+    if (harmonySizes.join() === mbMediumSizes.join()) return null;
+    return `Harmony lists ${harmonySizes.join(' + ')} tracks, but the MusicBrainz release has ${mbMediumSizes.join(' + ') || 'none'}`;
+  }
+
+  // Track data as displayed by Harmony next to the recording: a quoted title, a
+  // duration such as 3:45 and ISRCs, each picked up from the action's text.
+  function extractTrackInfo(actionEl, fallbackTitle) {
+    // Join text nodes with spaces so values in adjacent elements don't run together
+    const walker = document.createTreeWalker(actionEl, NodeFilter.SHOW_TEXT);
+    const parts = [];
+    while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+    const text = parts.join(' ');
+    const quoted = text.match(/[“"]([^”"]+)[”"]/);
+    const duration = text.match(/\b(?:(\d+):)?(\d{1,2}):(\d{2})\b/);
+    const length = duration
+      ? ((parseInt(duration[1] || '0', 10) * 60 + parseInt(duration[2], 10)) * 60 + parseInt(duration[3], 10)) * 1000
+      : null;
+    const isrcs = [...new Set((text.match(/\b[A-Z]{2}-?[A-Z0-9]{3}-?\d{2}-?\d{5}\b/g) || []).map(isrc => isrc.replace(/-/g, '')))];
+    return { title: quoted ? quoted[1].trim() : fallbackTitle, length, isrcs };
+  }
+
+  // Returns the link type names Harmony seeds for the URL, plus the IDs it could not name
   function extractRelationshipTypesFromAction(actionEl, targetUrl) {
     // Find the MB edit link within the same action; it contains the seeded URLs & link_type_ids
     const editLink = actionEl.querySelector('a[href*="/recording/"][href*="/edit"]');
-    if (!editLink) return [];
+    if (!editLink) return { types: [], unknownTypes: [] };
 
     const editUrl = decodeURIComponent(editLink.href);
     // flattened query keys look like: edit-recording.url.0.text=...&edit-recording.url.0.link_type_id=268
     const re = /edit-recording\.url\.(\d+)\.text=([^&]+)&edit-recording\.url\.\1\.link_type_id=(\d+)/g;
-    const found = [];
+    const types = [];
+    const unknownTypes = [];
     for (const m of editUrl.matchAll(re)) {
       const [, idx, encUrl, linkTypeId] = m;
       const dec = decodeURIComponent(encUrl);
       if (dec === targetUrl) {
-        const name = linkTypeMap[linkTypeId];
-        if (name) found.push(name);
+        const name = linkTypeNames[linkTypeId];
+        if (name) types.push(name); else unknownTypes.push(linkTypeId);
       }
     }
-    return found;
+    return { types, unknownTypes };
+  }
+
+  // --- link types ---
+
+  function refreshLinkTypes() {
+    const cached = GM_getValue(LINK_TYPES_KEY, null);
+    if (cached && Date.now() - cached.fetched < LINK_TYPES_MAX_AGE) return;
+
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url: 'https://musicbrainz.org/ws/js/type-info',
+      onload: res => {
+        try {
+          if (res.status !== 200) throw new Error(`HTTP ${res.status}`);
+          const names = {};
+          collectLinkTypes(JSON.parse(res.responseText), names);
+          if (!Object.keys(names).length) throw new Error('no link types in response');
+          Object.assign(linkTypeNames, names);
+          GM_setValue(LINK_TYPES_KEY, { fetched: Date.now(), names });
+        } catch (e) {
+          console.warn('Link type refresh failed, using cached names:', e);
+        }
+      },
+      onerror: e => console.warn('Link type refresh failed, using cached names:', e),
+    });
+  }
+
+  // Link types can be nested anywhere in the type data (grouped by entity types, with children)
+  function collectLinkTypes(node, names) {
+    if (Array.isArray(node)) {
+      node.forEach(child => collectLinkTypes(child, names));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    if (node.id != null && typeof node.name === 'string' && 'type0' in node && 'type1' in node) {
+      names[node.id] = node.name;
+    }
+    Object.values(node).forEach(child => collectLinkTypes(child, names));
   }
 
   function getAlbumUrlForService(service) {
-    const provider = providerNameMap[service];
+    const provider = getServiceInfo(service).harmony;
     if (!provider) return null;
     const li = document.querySelector(`ul.provider-list li[data-provider="${provider}"]`);
     const a = li?.querySelector('a.provider-id');
-    return a?.href || null;
+    return a?.href ? normalizeUrl(a.href, service) : null;
   }
 
   function buildSeederData(releaseMbid, recordings, service) {
-    const info = getServiceInfo(service);
-    const harmonyUrl = window.location.href;
-    const albumUrl = getAlbumUrlForService(service);
-
-    let note = `Release: https://musicbrainz.org/release/${releaseMbid}\n${info.name} links from Harmony: ${harmonyUrl}`;
-    if (albumUrl) note += `\n${info.name} Album: ${albumUrl}`;
-
+    const note = buildServiceNote(releaseMbid, service, recordings.length);
     const data = { note, version: 1, recordings: {} };
     for (const r of recordings) {
       data.recordings[r.mbid] = { url: r.url, types: r.types };
@@ -324,26 +1502,53 @@
     return data;
   }
 
-  function buildAllServicesSeederData(releaseMbid, recordings) {
-    const harmonyUrl = window.location.href;
-    const services = getAvailableServices();
+  function buildServiceNote(releaseMbid, service, recordingCount) {
+    const info = getServiceInfo(service);
+    const albumUrl = getAlbumUrlForService(service);
+    return fillNoteTemplate(noteTemplates.single, {
+      release_mbid: releaseMbid,
+      service: info.name,
+      album_urls: albumUrl ? `${info.name} Album: ${albumUrl}` : '',
+      recording_count: recordingCount,
+    });
+  }
 
-    let note = `Release: https://musicbrainz.org/release/${releaseMbid}\nAll services from Harmony: ${harmonyUrl}`;
+  // Version 2 payload (several URLs per recording); `service` is set when they all
+  // belong to one service, which then gets the single service edit note
+  function buildAllServicesSeederData(releaseMbid, recordings, service = null) {
+    const data = { note: '', version: 2, recordings: {} };
+    for (const r of recordings) {
+      data.recordings[r.mbid] = r.urls.map(u => ({ url: u.url, types: u.types }));
+    }
+    if (service) {
+      data.note = buildServiceNote(releaseMbid, service, recordings.length);
+      return data;
+    }
+
+    const services = getAvailableServices();
+    const albumLines = [];
     for (const s of services) {
       const albumUrl = getAlbumUrlForService(s);
-      if (albumUrl) {
-        const info = getServiceInfo(s);
-        note += `\n${info.name} Album: ${albumUrl}`;
-      }
+      if (albumUrl) albumLines.push(`${getServiceInfo(s).name} Album: ${albumUrl}`);
     }
 
-    const data = { note, version: 2, recordings: {} };
-    for (const r of recordings) {
-      data.recordings[r.mbid] = r.urls.map(u => ({ url: u.url, types: u.types }));
-    }
+    data.note = fillNoteTemplate(noteTemplates.all, {
+      release_mbid: releaseMbid,
+      service: 'All services',
+      album_urls: albumLines.join('\n'),
+      recording_count: recordings.length,
+    });
     return data;
   }
 
+  // Replaces {placeholder}s (unknown ones are kept as typed) and drops trailing blank lines
+  function fillNoteTemplate(template, values) {
+    const all = { harmony_url: window.location.href, ...values };
+    return template
+      .replace(/\{(\w+)\}/g, (match, name) => (name in all ? String(all[name]) : match))
+      .replace(/\s+$/, '');
+  }
+
   function buildSeederUrl(releaseMbid, seederData) {
     const encoded = encodeURIComponent(JSON.stringify(seederData));
     return `https://musicbrainz.org/release/${releaseMbid}/edit-relationships#seed-urls-v1=${encoded}`;